@@ -1,9 +1,12 @@
 'use strict';
 import User from './src/user';
 import Brain from './src/brain';
+import FileBrain from './src/brains/file';
+import Namespace from './src/namespace';
 import Robot from './src/robot';
 import Adapter from './src/adapter';
 import Response from './src/response';
+import Command from './src/command';
 import {Listener, TextListener} from './src/listener';
 import {Message, TextMessage, EnterMessage,
         LeaveMessage, TopicMessage, CatchAllMessage} from './src/message';
@@ -11,9 +14,12 @@ import {Message, TextMessage, EnterMessage,
 export {
   User,
   Brain,
+  FileBrain,
+  Namespace,
   Robot,
   Adapter,
   Response,
+  Command,
   Listener,
   TextListener,
   Message,
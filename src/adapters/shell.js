@@ -59,7 +59,8 @@ class Shell extends Adapter {
                      process.env.WEBBY_SHELL_USER_NAME || 'Shell';
       let user = this.robot.brain.userForId(userId, {
         name: userName,
-        room: 'Shell'
+        room: 'Shell',
+        source: 'shell'
       });
       this.receive(new TextMessage(user, input, 'messageId'));
     });
@@ -0,0 +1,136 @@
+const AUTH_ADMIN_ROLE = 'admin';
+
+class Auth {
+  /**
+   * Role based authorization for listeners. Roles are kept in the `roles`
+   * of each user in the brain. Listeners registered with a `roles` option
+   * (a String or an Array of Strings) only run for users having one of those
+   * roles; others get the denial reply instead.
+   *
+   * The users whose ids are listed in WEBBY_ADMINS (comma separated) always
+   * have the admin role. WEBBY_AUTH_DENIED_REPLY sets the denial reply,
+   * where {roles} is replaced by the required roles; set it empty to deny
+   * silently. Listeners can override it with a `deniedReply` option.
+   *
+   * @param {object} robot - A Robot instance.
+   */
+  constructor(robot) {
+    this.robot = robot;
+    this.admins = (process.env.WEBBY_ADMINS || '').split(',')
+      .map(id => id.trim()).filter(id => id.length > 0);
+    this.deniedReply = process.env.WEBBY_AUTH_DENIED_REPLY != null ?
+      process.env.WEBBY_AUTH_DENIED_REPLY :
+      'Sorry, only users with the {roles} role can do that.';
+
+    robot.listenerMiddleware((context, next, done) => {
+      let options = context.listener.options || {};
+      let roles = [].concat(options.roles || []);
+      let user = context.response.message.user;
+      if (roles.length === 0 ||
+        roles.some(role => this.hasRole(user, role))) {
+        return next(done);
+      }
+      this.robot.logger.info(`Denied ${user && user.name} access to ` +
+        `listener ${options.id || context.listener.regex}`);
+      this.robot.emit('auth-denied', context.response, roles);
+      let reply = options.deniedReply != null ?
+        options.deniedReply : this.deniedReply;
+      if (reply) {
+        context.response.reply(reply.replace('{roles}', roles.join(' or ')));
+      }
+      done();
+    }, {name: 'auth'});
+  }
+
+  /**
+   * Private: The brain's record of user, which holds the roles.
+   *
+   * Returns a User instance.
+   */
+  lookup(user) {
+    let users = this.robot.brain.data.users || {};
+    return users[user.id] || user;
+  }
+
+  /**
+   * Public: The roles of a user, including the admin role of bootstrap
+   * admins.
+   *
+   * @param {object} user - A User instance.
+   *
+   * Returns an Array of Strings.
+   */
+  userRoles(user) {
+    if (user == null) {
+      return [];
+    }
+    let roles = (this.lookup(user).roles || []).slice();
+    if (this.admins.indexOf(String(user.id)) >= 0 &&
+      roles.indexOf(AUTH_ADMIN_ROLE) < 0) {
+      roles.push(AUTH_ADMIN_ROLE);
+    }
+    return roles;
+  }
+
+  /**
+   * Public: Whether a user has a role.
+   *
+   * @param {object} user - A User instance.
+   * @param {string} role - A String of the role name.
+   *
+   * Returns a Boolean.
+   */
+  hasRole(user, role) {
+    return this.userRoles(user).indexOf(role) >= 0;
+  }
+
+  /**
+   * Public: Give a role to a user.
+   *
+   * @param {object} user - A User instance.
+   * @param {string} role - A String of the role name.
+   *
+   * Returns nothing.
+   */
+  grant(user, role) {
+    user = this.lookup(user);
+    user.roles || (user.roles = []);
+    if (user.roles.indexOf(role) < 0) {
+      user.roles.push(role);
+      this.robot.brain.markDirty('users', user.id);
+    }
+  }
+
+  /**
+   * Public: Take a role away from a user. Bootstrap admins keep the admin
+   * role.
+   *
+   * @param {object} user - A User instance.
+   * @param {string} role - A String of the role name.
+   *
+   * Returns nothing.
+   */
+  revoke(user, role) {
+    user = this.lookup(user);
+    let index = (user.roles || []).indexOf(role);
+    if (index >= 0) {
+      user.roles.splice(index, 1);
+      this.robot.brain.markDirty('users', user.id);
+    }
+  }
+
+  /**
+   * Public: The users having a role.
+   *
+   * @param {string} role - A String of the role name.
+   *
+   * Returns an Array of User instances.
+   */
+  usersWithRole(role) {
+    let users = this.robot.brain.data.users || {};
+    return Object.keys(users).map(id => users[id])
+      .filter(user => this.hasRole(user, role));
+  }
+}
+
+export default Auth;
@@ -1,5 +1,114 @@
 import {EventEmitter} from 'events';
 import User from './user';
+import Namespace from './namespace';
+import UserDirectory from './directory';
+
+const BRAIN_SAVE_POLICIES = [
+  'always',
+  'dirty',
+  'debounce'
+];
+
+/**
+ * Private: Call a storage driver method that either returns a value/Promise
+ * or takes a node-style callback as its last argument. Methods declaring more
+ * parameters than given arguments are treated as callback style.
+ *
+ * Returns a Promise for the method's result.
+ */
+let callDriver = (driver, method, ...args) => new Promise((resolve, reject) => {
+  if (typeof driver[method] !== 'function') {
+    return resolve();
+  }
+  if (driver[method].length > args.length) {
+    driver[method](...args,
+      (err, result) => err ? reject(err) : resolve(result));
+  } else {
+    Promise.resolve(driver[method](...args)).then(resolve, reject);
+  }
+});
+
+const BRAIN_MERGE_STRATEGIES = [
+  'overwrite',
+  'deep'
+];
+
+/**
+ * Private: Whether value is an object literal (not an Array, User or other
+ * class instance).
+ */
+let isPlainObject = (value) => {
+  if (value == null || typeof value !== 'object') {
+    return false;
+  }
+  let proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+};
+
+/**
+ * Private: Recursively merge source into target, keeping target's identity.
+ * Values from source win, except that nested object literals are merged.
+ *
+ * Returns the merged value.
+ */
+let deepMerge = (target, source) => {
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return source;
+  }
+  for (let key of Object.keys(source)) {
+    target[key] = deepMerge(target[key], source[key]);
+  }
+  return target;
+};
+
+/**
+ * Private: Reconcile stored users with the users already in memory. Users
+ * in memory keep their identity and attributes, and gain the stored
+ * attributes they don't have. Stored users are turned into User instances.
+ *
+ * Returns the merged users Object.
+ */
+let mergeUsers = (current, stored) => {
+  for (let id of Object.keys(stored)) {
+    let user = current[id];
+    if (user) {
+      for (let key of Object.keys(stored[id])) {
+        if (!(key in user)) {
+          user[key] = stored[id][key];
+        }
+      }
+    } else {
+      current[id] = stored[id] instanceof User ?
+        stored[id] : new User(id, stored[id]);
+    }
+  }
+  return current;
+};
+
+/**
+ * Private: Replace the attributes of the users in memory with the stored
+ * ones, keeping their User instances. Users only in memory are kept.
+ *
+ * Returns the replaced users Object.
+ */
+let replaceUsers = (current, stored) => {
+  for (let id of Object.keys(stored)) {
+    let user = current[id];
+    if (user) {
+      for (let key of Object.keys(user)) {
+        key === 'id' || delete user[key];
+      }
+      for (let key of Object.keys(stored[id])) {
+        user[key] = User.cast(key, stored[id][key]);
+      }
+      user.name || (user.name = String(user.id));
+    } else {
+      current[id] = stored[id] instanceof User ?
+        stored[id] : new User(id, stored[id]);
+    }
+  }
+  return current;
+};
 
 class Brain extends EventEmitter {
   /**
@@ -9,11 +118,22 @@ class Brain extends EventEmitter {
    */
   constructor(robot) {
     super();
+    this.robot = robot;
+    this.driver = null;
     this.data = {
       users: {},
       _private: {}
     };
     this.autoSave = true;
+    this.dirty = false;
+    this.dirtySince = null;
+    this.debounceTimeout = null;
+    this.setSavePolicy('dirty');
+    this.setMergeStrategy('overwrite');
+    this.migrations = {};
+    this.migrationDryRun = false;
+    this.migrationTimer = null;
+    this.directory = new UserDirectory(this);
 
     robot.on('running', () => {
       this.resetSaveInterval(5);
@@ -36,6 +156,9 @@ class Brain extends EventEmitter {
     }
     // extend this.data._private
     Object.assign(this.data._private, pair);
+    for (let changedKey of Object.keys(pair)) {
+      this.markDirty('_private', changedKey);
+    }
     this.emit('loaded', this.data);
     return this;
   }
@@ -60,29 +183,149 @@ class Brain extends EventEmitter {
   remove(key) {
     if (this.data._private[key] != null) {
       delete this.data._private[key];
+      this.markDirty('_private', key);
     }
     return this;
   }
 
   /**
-   * Public: Emits the 'save' event so that 'brain' scripts can handle
-   * persisting.
+   * Public: Set the storage driver persisting this brain. A driver is an
+   * object with optional `load()`, `save(data)` and `close()` methods, each
+   * either returning a Promise or accepting a node-style callback as the
+   * last argument. `load` resolves with the stored data.
+   *
+   * @param {object} driver - A storage driver.
    *
    * Returns nothing.
    */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Public: Load the stored data through the storage driver and merge it
+   * into memory, which emits the 'loaded' event. Without a driver the
+   * callback is called right away.
+   *
+   * @param callback - A Function called with an error, if any, once the data
+   *                    is loaded.
+   *
+   * Returns nothing.
+   */
+  load(callback = () => {}) {
+    if (!this.driver) {
+      return callback();
+    }
+    callDriver(this.driver, 'load')
+      .then(data => this.mergeData(data))
+      .then(() => null, err => err)
+      .then(err => process.nextTick(() => callback(err)));
+  }
+
+  /**
+   * Public: Get a key-value store scoped to name, so that scripts don't
+   * clobber each other's keys. The script loading at the time the namespace
+   * is first requested is recorded as its owner.
+   *
+   * @param {string} name  - A String name of the namespace.
+   * @param {string} owner - An optional String naming the owning script.
+   *
+   * Returns a Namespace instance.
+   */
+  namespace(name, owner = this.robot.currentScript) {
+    let namespace = new Namespace(this, name);
+    let store = namespace.store();
+    if (owner && !store.owner) {
+      store.owner = owner;
+    }
+    return namespace;
+  }
+
+  /**
+   * Public: List the namespaces stored in the brain.
+   *
+   * Returns an Array of Objects with the `name`, `owner` and `keys` of each
+   * namespace.
+   */
+  namespaces() {
+    let namespaces = this.data._namespaces || {};
+    return Object.keys(namespaces).map(name => ({
+      name: name,
+      owner: namespaces[name].owner || null,
+      keys: new Namespace(this, name).keys()
+    }));
+  }
+
+  /**
+   * Public: Emits the 'save' event so that 'brain' scripts can handle
+   * persisting, and passes the data to the storage driver.
+   *
+   * Returns a Promise resolved once the storage driver has saved.
+   */
   save() {
+    clearTimeout(this.debounceTimeout);
+    this.dirty = false;
+    this.dirtySince = null;
     this.emit('save', this.data);
+    if (!this.driver) {
+      return Promise.resolve();
+    }
+    return callDriver(this.driver, 'save', this.data).catch(
+      err => this.robot.emit('error', err));
   }
 
   /**
-   * Public: Emits the 'close' event so that 'brain' scripts can handle closing.
+   * Public: Emits the 'close' event so that 'brain' scripts can handle closing,
+   * then closes the storage driver.
+   *
+   * @param callback - An optional Function called once the storage driver has
+   *                    saved and closed.
    *
    * Returns nothing.
    */
-  close() {
+  close(callback = () => {}) {
     clearInterval(this.saveInterval);
-    this.save();
+    clearTimeout(this.debounceTimeout);
+    clearImmediate(this.migrationTimer);
+    this.migrationTimer = null;
+    let saved = this.save();
     this.emit('close');
+    let closed = Promise.resolve();
+    if (this.driver) {
+      closed = callDriver(this.driver, 'close').catch(
+        err => this.robot.emit('error', err));
+    }
+    Promise.all([saved, closed]).then(() => callback());
+  }
+
+  /**
+   * Public: Copy the brain data, e.g. to move it to another environment.
+   *
+   * @param {object} options - An optional Object; with `redact` set the
+   *                            `_private` keys are left out.
+   *
+   * Returns a plain Object safe to serialize as JSON.
+   */
+  exportData(options = {}) {
+    let data = JSON.parse(JSON.stringify(this.data));
+    if (options.redact) {
+      delete data._private;
+    }
+    return data;
+  }
+
+  /**
+   * Public: Merge an exported copy of the brain data into the brain and save
+   * it. Whatever the merge strategy, each top-level key and each user of the
+   * copy replaces the one in memory.
+   *
+   * @param {object} data - The exported brain data.
+   *
+   * Returns a Promise resolved once the storage driver has saved.
+   */
+  importData(data) {
+    this.mergeData(data, {replace: true});
+    return this.save();
   }
 
   /**
@@ -96,6 +339,31 @@ class Brain extends EventEmitter {
     this.autoSave = enabled;
   }
 
+  /**
+   * Public: Choose when automatic saves happen.
+   *
+   * @param {string} mode    - 'always' saves on every interval tick, as
+   *                            older versions did; 'dirty' (the default) only
+   *                            saves on an interval tick if something changed;
+   *                            'debounce' also saves shortly after changes.
+   * @param {object} options - For 'debounce', `wait` is the number of seconds
+   *                            without changes before saving (defaults to 1)
+   *                            and `maxWait` the most seconds a change stays
+   *                            unsaved (defaults to 5).
+   *
+   * Returns nothing
+   */
+  setSavePolicy(mode, options = {}) {
+    if (BRAIN_SAVE_POLICIES.indexOf(mode) < 0) {
+      throw new Error(`Unknown brain save policy ${mode}`);
+    }
+    this.savePolicy = {
+      mode: mode,
+      wait: options.wait != null ? options.wait : 1,
+      maxWait: options.maxWait != null ? options.maxWait : 5
+    };
+  }
+
   /**
    * Public: Reset the interval between save function calls.
    *
@@ -108,27 +376,205 @@ class Brain extends EventEmitter {
       clearInterval(this.saveInterval);
     }
     this.saveInterval = setInterval(() => {
-      if (this.autoSave) {
+      if (this.autoSave && (this.dirty || this.savePolicy.mode === 'always')) {
         return this.save();
       }
     }, seconds * 1000);
   }
 
   /**
-   * Public: Merge keys loaded from a DB against the in memory representation.
+   * Public: Flag the data as changed and emit the 'changed' event with the
+   * affected section of the data ('users', '_private', '_namespaces.<name>'
+   * or a top-level key) and key. With the 'debounce' save policy this also
+   * schedules a save.
+   *
+   * @param {string} section - A String of the changed part of the data.
+   * @param {string} key     - An optional String of the changed key.
+   *
+   * Returns nothing
+   */
+  markDirty(section, key = null) {
+    if (!this.dirty) {
+      this.dirty = true;
+      this.dirtySince = Date.now();
+    }
+    this.emit('changed', {section: section, key: key});
+    if (this.autoSave && this.savePolicy.mode === 'debounce') {
+      let wait = Math.min(this.savePolicy.wait * 1000,
+        this.dirtySince + this.savePolicy.maxWait * 1000 - Date.now());
+      clearTimeout(this.debounceTimeout);
+      this.debounceTimeout = setTimeout(() => this.save(), Math.max(wait, 0));
+    }
+  }
+
+  /**
+   * Public: Choose how mergeData combines loaded data with the data in memory.
+   *
+   * @param strategy - 'overwrite' (the default) replaces each top-level key,
+   *                    'deep' recursively merges object literals. Both
+   *                    reconcile `users` so users created before loading are
+   *                    kept. A Function is called with (current, loaded, key)
+   *                    for each top-level key and returns the merged value.
+   *
+   * Returns nothing
+   */
+  setMergeStrategy(strategy) {
+    if (typeof strategy !== 'function' &&
+      BRAIN_MERGE_STRATEGIES.indexOf(strategy) < 0) {
+      throw new Error(`Unknown brain merge strategy ${strategy}`);
+    }
+    this.mergeStrategy = strategy;
+  }
+
+  /**
+   * Public: Register a migration upgrading the brain data to a schema
+   * version. The version reached is kept in `data._version`. Migrations run
+   * in version order on data passed to mergeData, and on the data in memory
+   * if it is at an older version (unless migrationDryRun is set). The data in
+   * memory is migrated once the scripts loading at the same time have
+   * registered their migrations too, so that they all run in version order
+   * whatever order the scripts load in.
    *
-   * Caveats: Deeply nested structures don't merge well.
+   * @param {integer} version - A positive Integer of the schema version.
+   * @param migration         - A Function called with the data. It may change
+   *                             the data in place or return new data.
+   *
+   * Returns nothing
+   */
+  registerMigration(version, migration) {
+    if (!(version > 0) || Math.floor(version) !== version) {
+      throw new Error(
+        `Brain migration version must be a positive integer, got ${version}`);
+    }
+    if (this.migrations[version]) {
+      throw new Error(`Brain migration ${version} is already registered`);
+    }
+    this.migrations[version] = migration;
+    if (!this.migrationDryRun && !this.migrationTimer) {
+      this.migrationTimer = setImmediate(() => this.migrateMemory());
+    }
+  }
+
+  /**
+   * Private: Run the pending migrations on the data in memory.
    *
    * Returns nothing
    */
-  mergeData(data) {
+  migrateMemory() {
+    this.migrationTimer = null;
+    if (this.migrationDryRun) {
+      return;
+    }
+    let report = this.migrate(this.data);
+    if (report.applied.length > 0) {
+      this.data = report.data;
+      this.markDirty('_version');
+    }
+  }
+
+  /**
+   * Public: Run the registered migrations newer than the version of data,
+   * emitting the 'migrated' event with the report if any were applied.
+   *
+   * @param {object} data    - The brain data to migrate.
+   * @param {object} options - An optional Object; with `dryRun` set the
+   *                            migrations run on a copy of data and no event
+   *                            is emitted.
+   *
+   * Returns an Object with the `from` and `to` versions, the `applied`
+   * versions and the migrated `data`.
+   */
+  migrate(data, options = {}) {
+    let from = data._version || 0;
+    let versions = Object.keys(this.migrations).map(Number)
+      .filter(version => version > from).sort((a, b) => a - b);
+    let result = options.dryRun ? JSON.parse(JSON.stringify(data)) : data;
+    for (let version of versions) {
+      let migrated = this.migrations[version](result);
+      if (migrated !== undefined) {
+        result = migrated;
+      }
+      result._version = version;
+    }
+    let report = {
+      from: from,
+      to: versions.length > 0 ? versions[versions.length - 1] : from,
+      applied: versions,
+      data: result
+    };
+    if (versions.length > 0 && !options.dryRun) {
+      this.emit('migrated', report);
+    }
+    return report;
+  }
+
+  /**
+   * Public: Merge keys loaded from a DB against the in memory representation,
+   * following the merge strategy. Pending migrations are run on the loaded
+   * data first. The merged keys emit 'changed' but only flag the data dirty
+   * when replaced or migrated, as the store already holds what was loaded.
+   *
+   * @param {object} data    - The loaded data.
+   * @param {object} options - An optional Object; with `replace` set the
+   *                            loaded keys and users replace the ones in
+   *                            memory, whatever the merge strategy.
+   *
+   * Returns nothing
+   */
+  mergeData(data, options = {}) {
     let ref = data || {};
+    let migrated = false;
+    if (!this.migrationDryRun) {
+      let report = this.migrate(ref);
+      ref = report.data;
+      migrated = report.applied.length > 0;
+    }
     for (let key of Object.keys(ref)) {
-      this.data[key] = ref[key];
+      this.data[key] = options.replace ?
+        this.replaceValue(key, this.data[key], ref[key]) :
+        this.mergeValue(key, this.data[key], ref[key]);
+      if (options.replace) {
+        this.markDirty(key);
+      } else {
+        this.emit('changed', {section: key, key: null});
+      }
+    }
+    if (migrated) {
+      this.markDirty('_version');
     }
     this.emit('loaded', this.data);
   }
 
+  /**
+   * Private: Merge a single top-level key of loaded data.
+   *
+   * Returns the merged value.
+   */
+  mergeValue(key, current, loaded) {
+    if (typeof this.mergeStrategy === 'function') {
+      return this.mergeStrategy(current, loaded, key);
+    }
+    if (key === 'users' && isPlainObject(current) && isPlainObject(loaded)) {
+      return mergeUsers(current, loaded);
+    }
+    if (this.mergeStrategy === 'deep') {
+      return deepMerge(current, loaded);
+    }
+    return loaded;
+  }
+
+  /**
+   * Private: Replace a single top-level key with imported data.
+   *
+   * Returns the new value.
+   */
+  replaceValue(key, current, loaded) {
+    if (key === 'users' && isPlainObject(current) && isPlainObject(loaded)) {
+      return replaceUsers(current, loaded);
+    }
+    return loaded;
+  }
+
   /**
    * Public: Get an Array of User objects stored in the brain.
    *
@@ -139,47 +585,126 @@ class Brain extends EventEmitter {
   }
 
   /**
-   * Public: Get a User object given a unique identifier.
+   * Public: Get a User object given a unique identifier. The same User
+   * instance is kept for an id: attributes passed in options are merged
+   * into it, leaving attributes set by scripts alone. When options has a
+   * `room`, it is added to the user's `rooms` and recorded with the current
+   * time in `lastSeen`.
    *
    * Returns a User instance of the specified user.
    */
   userForId(id, options) {
     let user = this.data.users[id];
+    let changed = false;
     if (!user) {
       user = new User(id, options);
       this.data.users[id] = user;
+      changed = true;
+    } else if (options) {
+      for (let key of Object.keys(options)) {
+        let value = User.cast(key, options[key]);
+        if (key !== 'id' && user[key] !== value) {
+          user[key] = value;
+          changed = true;
+        }
+      }
     }
-    if (options && options.room && (!user.room || user.room !== options.room)) {
-      user = new User(id, options);
-      this.data.users[id] = user;
+    if (options && options.room) {
+      user.rooms || (user.rooms = []);
+      if (user.rooms.indexOf(options.room) < 0) {
+        user.rooms.push(options.room);
+      }
+      user.lastSeen = {room: options.room, time: Date.now()};
+      changed = true;
+    }
+    if (changed) {
+      this.markDirty('users', id);
     }
     return user;
   }
 
+  /**
+   * Public: Set a preference of a user and flag the users as changed so the
+   * preference is saved.
+   *
+   * @param {object} user - A User instance.
+   * @param {string} key  - A String of the preference name.
+   * @param value         - The value, or null to remove the preference.
+   *
+   * Returns nothing.
+   */
+  setUserPref(user, key, value) {
+    user.setPref(key, value);
+    this.markDirty('users', user.id);
+  }
+
   /**
    * Public: Get a User object given a name.
    *
    * Returns a User instance for the user with the specified name.
    */
   userForName(name) {
-    let result = null;
-    let userName;
-    let lowerName = name.toLowerCase();
-    let users = this.data.users || {};
-    for (let key of Object.keys(users)) {
-      userName = users[key]['name'];
-      if (userName != null &&
-        userName.toString().toLowerCase() === lowerName) {
-        result = users[key];
-      }
-    }
-    return result;
+    return this.directory.find('name', name)[0] || null;
+  }
+
+  /**
+   * Public: Get a User object given an email address.
+   *
+   * Returns a User instance for the user with the specified email, or null.
+   */
+  userForEmail(email) {
+    return this.directory.find('email', email)[0] || null;
+  }
+
+  /**
+   * Public: Get a User object given one of its aliases or its nickname.
+   *
+   * Returns a User instance for the user with the specified alias, or null.
+   */
+  userForAlias(alias) {
+    return this.directory.find('alias', alias)[0] || null;
+  }
+
+  /**
+   * Public: Get a User object given the id an adapter knows it by, as stored
+   * in the user's `adapterIds`.
+   *
+   * @param {string} adapter - A String of the adapter name.
+   * @param {string} id      - A String of the adapter specific id.
+   *
+   * Returns a User instance, or null.
+   */
+  userForAdapterId(adapter, id) {
+    return this.directory.find('adapter', `${adapter}:${id}`)[0] || null;
+  }
+
+  /**
+   * Public: Get all users whose name has the given initials, e.g. 'go' for
+   * 'Guy One'.
+   *
+   * Returns an Array of User instances.
+   */
+  usersForInitials(initials) {
+    return this.directory.find('initials', initials);
+  }
+
+  /**
+   * Public: Search users by name, alias, email, initials or a close
+   * misspelling of those, best match first.
+   *
+   * @param {string} query   - The String to search for.
+   * @param {object} options - An optional Object with `maxDistance` and
+   *                            `limit` (see UserDirectory#search).
+   *
+   * Returns an Array of User instances.
+   */
+  searchUsers(query, options) {
+    return this.directory.search(query, options);
   }
 
   /**
-   * Public: Get all users whose names match fuzzyName. Currently, match
-   * means 'starts with', but this could be extended to match initials,
-   * nicknames, etc.
+   * Public: Get all users whose names match fuzzyName. Match means
+   * 'starts with'; see searchUsers for initials, aliases and misspellings.
    *
    * Returns an Array of User instances matching the fuzzy name.
    */
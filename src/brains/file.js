@@ -0,0 +1,181 @@
+import * as Fs from 'fs';
+import * as Path from 'path';
+
+import User from '../user';
+
+let tmpCounter = 0;
+
+/**
+ * Private: Build a unique temporary path next to the target file, so that
+ * concurrent writes never share a half-written file.
+ */
+let tmpPathFor = path => `${path}.${process.pid}.${tmpCounter++}.tmp`;
+
+/**
+ * Private: Write contents to a temporary file, flush it to disk and rename
+ * it over path. A crash mid-write leaves the previous file untouched.
+ *
+ * callback  - A Function that is called with an error, if any.
+ * cancelled - A Function checked before renaming; if it returns true the
+ *             temporary file is dropped instead.
+ */
+let writeAtomic = (path, contents, callback, cancelled = () => false) => {
+  let tmpPath = tmpPathFor(path);
+  let fail = (err) => Fs.unlink(tmpPath, () => callback(err));
+  Fs.open(tmpPath, 'w', (err, fd) => {
+    if (err) {
+      return callback(err);
+    }
+    Fs.write(fd, contents, 0, 'utf-8', (err) => {
+      if (err) {
+        return Fs.close(fd, () => fail(err));
+      }
+      Fs.fsync(fd, (err) => {
+        Fs.close(fd, () => {
+          if (err || cancelled()) {
+            return fail(err);
+          }
+          Fs.rename(tmpPath, path, (err) => err ? fail(err) : callback());
+        });
+      });
+    });
+  });
+};
+
+/**
+ * Private: Synchronous counterpart of writeAtomic, used while shutting down.
+ */
+let writeAtomicSync = (path, contents) => {
+  let tmpPath = tmpPathFor(path);
+  let fd = Fs.openSync(tmpPath, 'w');
+  try {
+    Fs.writeSync(fd, contents, 0, 'utf-8');
+    Fs.fsyncSync(fd);
+  } finally {
+    Fs.closeSync(fd);
+  }
+  Fs.renameSync(tmpPath, path);
+};
+
+class FileBrain {
+  /**
+   * Brain storage driver keeping the robot's brain in a JSON file on disk.
+   *
+   * @param {object} robot - A Robot instance.
+   * @param {string} path  - A String path to the JSON file (defaults to
+   *                          WEBBY_BRAIN_FILE or brain.json).
+   */
+  constructor(robot, path) {
+    this.robot = robot;
+    this.path = Path.resolve(
+      path || process.env.WEBBY_BRAIN_FILE || 'brain.json');
+    this.writing = false;
+    this.pending = null;
+    this.waiting = [];
+    this.closed = false;
+  }
+
+  /**
+   * Public: Read the brain file. Stored users are turned back into User
+   * instances.
+   *
+   * Returns the stored data, or nothing if there is no file yet.
+   * Throws an Error if the file can't be read or parsed, rather than letting
+   * the next save overwrite it.
+   */
+  load() {
+    let data;
+    try {
+      data = JSON.parse(Fs.readFileSync(this.path, 'utf-8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return;
+      }
+      throw new Error(`Unable to read brain file ${this.path}: ${error}`);
+    }
+    let users = data.users || {};
+    for (let id of Object.keys(users)) {
+      users[id] = new User(id, users[id]);
+    }
+    this.robot.logger.debug(`Loaded brain from ${this.path}`);
+    return data;
+  }
+
+  /**
+   * Public: Write the given data to the brain file. Writes are serialized;
+   * while one is in flight only the latest data is kept for the next one.
+   *
+   * @param {object} data - The brain data to persist.
+   *
+   * Returns a Promise resolved once the data is written.
+   */
+  save(data) {
+    return new Promise((resolve) => {
+      this.pending = JSON.stringify(data);
+      this.waiting.push(resolve);
+      this.flush();
+    });
+  }
+
+  /**
+   * Private: Start writing the pending data unless a write is in flight.
+   * Callers waiting while there is nothing left to write are resolved.
+   *
+   * Returns nothing.
+   */
+  flush() {
+    if (this.writing) {
+      return;
+    }
+    let waiting = this.waiting;
+    this.waiting = [];
+    if (this.pending == null) {
+      for (let resolve of waiting) {
+        resolve();
+      }
+      return;
+    }
+    let contents = this.pending;
+    this.pending = null;
+    this.writing = true;
+    writeAtomic(this.path, contents, (err) => {
+      this.writing = false;
+      if (err) {
+        this.robot.logger.error(
+          `Unable to write brain file ${this.path}: ${err}`);
+      }
+      for (let resolve of waiting) {
+        resolve();
+      }
+      this.flush();
+    }, () => this.closed);
+  }
+
+  /**
+   * Public: Synchronously flush the latest data to the brain file so nothing
+   * is lost when the process exits right after closing. A write still in
+   * flight is dropped, as its data is older.
+   *
+   * Returns a Promise resolved once no write is in flight anymore.
+   */
+  close() {
+    this.closed = true;
+    this.pending = null;
+    try {
+      writeAtomicSync(this.path, JSON.stringify(this.robot.brain.data));
+    } catch (error) {
+      this.robot.logger.error(
+        `Unable to write brain file ${this.path}: ${error}`);
+    }
+    return new Promise((resolve) => {
+      this.waiting.push(resolve);
+      this.flush();
+    });
+  }
+}
+
+export default FileBrain;
+
+export function use(robot, options = {}) {
+  return new FileBrain(robot, options.path);
+};
@@ -0,0 +1,189 @@
+const COMMAND_TYPES = {
+  string: value => value,
+  number: value => {
+    let number = Number(value);
+    if (value === '' || isNaN(number)) {
+      throw new Error(`expected a number, got ${value}`);
+    }
+    return number;
+  },
+  integer: value => {
+    if (!/^[-+]?\d+$/.test(value)) {
+      throw new Error(`expected an integer, got ${value}`);
+    }
+    return parseInt(value, 10);
+  }
+};
+
+const COMMAND_FLAG = /^--([\w-]+)(?:=<(\w+)>)?$/;
+
+const COMMAND_ARGUMENT = /^(<|\[)(\w+)(\.\.\.)?(?::(\w+))?(>|\])$/;
+
+/**
+ * Private: Split the arguments of a message on whitespace, keeping quoted
+ * strings together.
+ */
+let tokenize = (text) => {
+  let tokens = [];
+  let pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(text)) != null) {
+    tokens.push(match[1] != null ? match[1] :
+      match[2] != null ? match[2] : match[3]);
+  }
+  return tokens;
+};
+
+/**
+ * Private: Escape a String to use it literally in a RegExp.
+ */
+let escape = text => text.replace(/[-[\]{}()*+?.,\\^$|#]/g, '\\$&');
+
+class Command {
+  /**
+   * A command defined by a usage String such as
+   * 'deploy <app> [env] --force --retries=<integer>':
+   *
+   *   <name>          - A required argument.
+   *   [name]          - An optional argument, null when missing.
+   *   <name...>       - The remaining arguments, joined by spaces.
+   *   <name:type>     - An argument converted to a 'number' or 'integer'.
+   *   --flag          - A Boolean flag, false when missing.
+   *   --flag=<type>   - A flag taking a value, given as --flag=value or
+   *                     --flag value, null when missing.
+   *
+   * The words before the first argument or flag name the command. Quoted
+   * values keep their spaces.
+   *
+   * @param {string} usage - The usage String.
+   */
+  constructor(usage) {
+    this.usage = usage.trim().replace(/\s+/g, ' ');
+    this.words = [];
+    this.positionals = [];
+    this.flags = {};
+    for (let token of this.usage.split(' ')) {
+      let flag = token.match(COMMAND_FLAG);
+      let argument = token.match(COMMAND_ARGUMENT);
+      if (flag) {
+        this.flags[flag[1]] = flag[2] ? this.type(flag[2]) : null;
+      } else if (argument) {
+        let required = argument[1] === '<';
+        if (required !== (argument[5] === '>')) {
+          throw new Error(`Unbalanced argument ${token} in ${usage}`);
+        }
+        this.positionals.push({
+          name: argument[2],
+          required: required,
+          rest: argument[3] != null,
+          type: this.type(argument[4] || 'string')
+        });
+      } else if (this.positionals.length === 0 &&
+        Object.keys(this.flags).length === 0) {
+        this.words.push(token);
+      } else {
+        throw new Error(`Unexpected ${token} in command ${usage}`);
+      }
+    }
+    if (this.words.length === 0) {
+      throw new Error(`Missing a name for command ${usage}`);
+    }
+    this.name = this.words.join(' ');
+  }
+
+  /**
+   * Private: The converter of an argument type.
+   *
+   * Returns a Function.
+   */
+  type(name) {
+    if (!COMMAND_TYPES[name]) {
+      throw new Error(`Unknown argument type ${name} in ${this.usage}`);
+    }
+    return COMMAND_TYPES[name];
+  }
+
+  /**
+   * Public: A RegExp matching the command name, capturing its arguments.
+   *
+   * Returns a RegExp.
+   */
+  pattern() {
+    let name = this.words.map(escape).join('\\s+');
+    return new RegExp(`${name}(?:\\s+([\\s\\S]*))?$`, 'i');
+  }
+
+  /**
+   * Public: Parse the arguments given to the command.
+   *
+   * @param {string} text - The String following the command name.
+   *
+   * Returns an Object keyed on argument and flag names.
+   * Throws an Error describing malformed arguments.
+   */
+  parse(text) {
+    let args = {};
+    let values = [];
+    for (let name of Object.keys(this.flags)) {
+      args[name] = this.flags[name] ? null : false;
+    }
+    let tokens = tokenize(text || '');
+    while (tokens.length) {
+      let token = tokens.shift();
+      let match = token.match(/^--([\w-]+)(?:=([\s\S]*))?$/);
+      if (!match) {
+        values.push(token);
+        continue;
+      }
+      let name = match[1];
+      if (!Object.prototype.hasOwnProperty.call(this.flags, name)) {
+        throw new Error(`Unknown flag --${name}`);
+      }
+      let type = this.flags[name];
+      if (type == null) {
+        if (match[2] != null) {
+          throw new Error(`Flag --${name} takes no value`);
+        }
+        args[name] = true;
+        continue;
+      }
+      let value = match[2] != null ? match[2] : tokens.shift();
+      if (value == null) {
+        throw new Error(`Missing a value for --${name}`);
+      }
+      args[name] = this.convert(`--${name}`, type, value);
+    }
+    for (let positional of this.positionals) {
+      let value = positional.rest && values.length ?
+        values.splice(0).join(' ') : values.shift();
+      if (value == null) {
+        if (positional.required) {
+          throw new Error(`Missing <${positional.name}>`);
+        }
+        args[positional.name] = null;
+      } else {
+        args[positional.name] = this.convert(positional.name, positional.type,
+          value);
+      }
+    }
+    if (values.length) {
+      throw new Error(`Unexpected ${values.join(' ')}`);
+    }
+    return args;
+  }
+
+  /**
+   * Private: Convert an argument value to its type.
+   *
+   * Returns the converted value.
+   */
+  convert(name, type, value) {
+    try {
+      return type(value);
+    } catch (error) {
+      throw new Error(`Invalid ${name}: ${error.message}`);
+    }
+  }
+}
+
+export default Command;
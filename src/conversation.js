@@ -0,0 +1,167 @@
+import {TextMessage} from './message';
+import Response from './response';
+
+const CONVERSATION_CANCEL_WORDS = ['cancel', 'stop', 'nevermind'];
+
+class Conversations {
+  /**
+   * Keeps the questions the robot is waiting on an answer for, one per user
+   * and room. While a question is pending, the next message of that user in
+   * that room answers it instead of reaching the listeners.
+   *
+   * WEBBY_CONVERSATION_CANCEL sets the comma separated words cancelling a
+   * question (defaults to cancel, stop and nevermind) and
+   * WEBBY_CONVERSATION_TIMEOUT the seconds to wait for an answer (defaults
+   * to 300).
+   *
+   * @param {object} robot - A Robot instance.
+   */
+  constructor(robot) {
+    this.robot = robot;
+    this.pending = {};
+    this.cancelWords = process.env.WEBBY_CONVERSATION_CANCEL ?
+      process.env.WEBBY_CONVERSATION_CANCEL.split(',')
+        .map(word => word.trim().toLowerCase()) :
+      CONVERSATION_CANCEL_WORDS;
+    this.timeout = Number(process.env.WEBBY_CONVERSATION_TIMEOUT) || 300;
+
+    robot.receiveMiddleware((context, next, done) => {
+      let message = context.response.message;
+      let key = message instanceof TextMessage &&
+        this.keyFor(message.user, message.room);
+      let question = key && this.pending[key];
+      if (!question) {
+        return next(done);
+      }
+      let match = message.text.match(this.robot.respondPattern(/([\s\S]*)/));
+      let answer = (match ? match[1] : message.text).trim();
+      let response = new Response(this.robot, message, [message.text, answer]);
+      message.finish();
+      if (question.cancelWords.indexOf(answer.toLowerCase()) >= 0) {
+        this.end(key, true);
+        response.reply(question.cancelReply);
+      } else {
+        this.end(key);
+        question.resolve(response);
+      }
+      done();
+    }, {name: 'conversation', priority: 100});
+  }
+
+  /**
+   * Private: The key of the conversation with a user in a room.
+   *
+   * Returns a String.
+   */
+  keyFor(user, room) {
+    return `${user && user.id}|${room}`;
+  }
+
+  /**
+   * Private: Stop waiting on a question. A question ended without an answer
+   * (cancelled, timed out or replaced) resolves with null, as these are
+   * expected outcomes rather than errors.
+   *
+   * Returns nothing.
+   */
+  end(key, unanswered) {
+    let question = this.pending[key];
+    delete this.pending[key];
+    clearTimeout(question.timer);
+    if (unanswered) {
+      question.resolve(null);
+    }
+  }
+
+  /**
+   * Public: Ask the user of a Response a question and wait for their next
+   * message in the same room. A new question to the same user and room
+   * replaces the pending one.
+   *
+   * @param {object} res      - The Response to reply to.
+   * @param {string} question - The String question, or null to just wait.
+   * @param {object} options  - An optional Object with `timeout`, the
+   *                             seconds to wait, `timeoutReply`, `cancel`,
+   *                             the Array of cancelling words, and
+   *                             `cancelReply`.
+   *
+   * Returns a Promise resolved with the Response of the answer, whose
+   * match[1] is the answer text, or with null if the user cancelled, the
+   * question timed out or another one replaced it.
+   */
+  prompt(res, question, options = {}) {
+    let key = this.keyFor(res.message.user, res.message.room);
+    if (this.pending[key]) {
+      this.end(key, true);
+    }
+    let promise = new Promise((resolve) => {
+      let timeout = options.timeout != null ? options.timeout : this.timeout;
+      this.pending[key] = {
+        resolve: resolve,
+        cancelWords: options.cancel || this.cancelWords,
+        cancelReply: options.cancelReply || 'OK, never mind.',
+        timer: timeout > 0 ? setTimeout(() => {
+          this.end(key, true);
+          res.reply(options.timeoutReply ||
+            'I stopped waiting for your answer.');
+        }, timeout * 1000) : null
+      };
+    });
+    if (question) {
+      res.reply(question);
+    }
+    return promise;
+  }
+
+  /**
+   * Public: Walk the user through a dialog tree. Each node is an Object with
+   * a `question` and `choices` keyed on the accepted answers. A choice is
+   * either the next node or a Function called with the Response of the
+   * answer, which can return the next node, or a Promise of it. Other
+   * answers get the question asked again.
+   *
+   * @param {object} res     - The Response starting the dialog.
+   * @param {object} node    - The Object of the first question.
+   * @param {object} options - Options for each prompt (optional).
+   *
+   * Returns a Promise resolved with the value returned by the last choice,
+   * or with null if a question ended without an answer, like prompt.
+   */
+  dialog(res, node, options = {}) {
+    let choices = node.choices || {};
+    let answers = Object.keys(choices);
+    return this.prompt(res, node.question, options).then((answer) => {
+      if (answer == null) {
+        return null;
+      }
+      let key = answers.find(choice =>
+        choice.toLowerCase() === answer.match[1].toLowerCase());
+      if (key == null) {
+        answer.reply(`Please answer with one of: ${answers.join(', ')}.`);
+        return this.dialog(answer, node, options);
+      }
+      let choice = choices[key];
+      return Promise.resolve(typeof choice === 'function' ?
+        choice(answer) : choice).then((next) => {
+          if (next != null && next.question != null) {
+            return this.dialog(answer, next, options);
+          }
+          return next;
+        });
+    });
+  }
+
+  /**
+   * Public: Stop waiting on every question, without rejecting them.
+   *
+   * Returns nothing.
+   */
+  close() {
+    for (let key of Object.keys(this.pending)) {
+      clearTimeout(this.pending[key].timer);
+    }
+    this.pending = {};
+  }
+}
+
+export default Conversations;
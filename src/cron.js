@@ -0,0 +1,188 @@
+const CRON_FIELDS = [
+  {name: 'minute', min: 0, max: 59},
+  {name: 'hour', min: 0, max: 23},
+  {name: 'day', min: 1, max: 31},
+  {name: 'month', min: 1, max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep',
+      'oct', 'nov', 'dec']},
+  {name: 'weekday', min: 0, max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']}
+];
+
+const CRON_ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const CRON_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Don't look further than this for a matching minute
+const CRON_MAX_YEARS = 5;
+
+/**
+ * Private: Read a value of a field, a number or a name.
+ */
+let parseValue = (field, value) => {
+  let index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  let number = index >= 0 ? index + (field.name === 'month' ? 1 : 0) :
+    /^\d+$/.test(value) ? parseInt(value, 10) : NaN;
+  if (isNaN(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} ${value}`);
+  }
+  return number;
+};
+
+/**
+ * Private: The Array of values allowed by a field expression such as
+ * '*', '*\/15', '1-5', 'mon-fri' or '0,30'.
+ */
+let parseField = (field, expression) => {
+  let values = [];
+  for (let part of expression.split(',')) {
+    let match = part.match(/^(\*|[\w]+(?:-[\w]+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} ${part}`);
+    }
+    let start = field.min;
+    let end = field.max;
+    if (match[1] !== '*') {
+      let bounds = match[1].split('-');
+      start = parseValue(field, bounds[0]);
+      end = bounds.length > 1 ? parseValue(field, bounds[1]) :
+        match[2] ? field.max : start;
+    }
+    let step = match[2] ? parseInt(match[2], 10) : 1;
+    if (step < 1 || start > end) {
+      throw new Error(`Invalid ${field.name} ${part}`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.push(field.name === 'weekday' ? value % 7 : value);
+    }
+  }
+  return values;
+};
+
+/**
+ * Private: The local date and time of a timestamp in a timezone, or in the
+ * system timezone if none.
+ */
+let localTime = (time, formatter) => {
+  let date = new Date(time);
+  if (!formatter) {
+    return {
+      minute: date.getMinutes(),
+      hour: date.getHours(),
+      day: date.getDate(),
+      month: date.getMonth() + 1,
+      weekday: date.getDay()
+    };
+  }
+  let parts = {};
+  for (let part of formatter.formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10) % 24,
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: CRON_WEEKDAYS.indexOf(parts.weekday)
+  };
+};
+
+class CronPattern {
+  /**
+   * A cron pattern of five fields: minute, hour, day of month, month and day
+   * of week, each '*', a value, a range, a list, or a step like '*\/5'.
+   * Months and days of week may be named (jan, mon). When both the day of
+   * month and the day of week are restricted, either matching is enough.
+   * The @yearly, @monthly, @weekly, @daily and @hourly aliases are accepted.
+   *
+   * @param {string} pattern  - The String cron pattern.
+   * @param {string} timezone - An IANA timezone name like 'Europe/Paris'
+   *                             (optional, defaults to the system timezone).
+   */
+  constructor(pattern, timezone) {
+    this.pattern = pattern.trim();
+    this.timezone = timezone || null;
+    let fields = (CRON_ALIASES[this.pattern] || this.pattern).split(/\s+/);
+    if (fields.length !== CRON_FIELDS.length) {
+      throw new Error(`Expected 5 fields in cron pattern ${pattern}`);
+    }
+    this.fields = {};
+    CRON_FIELDS.forEach((field, index) => {
+      this.fields[field.name] = parseField(field, fields[index]);
+    });
+    this.anyDay = fields[2] === '*';
+    this.anyWeekday = fields[4] === '*';
+    this.formatter = null;
+    if (this.timezone) {
+      try {
+        this.formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: this.timezone,
+          hourCycle: 'h23',
+          month: 'numeric',
+          day: 'numeric',
+          hour: 'numeric',
+          minute: 'numeric',
+          weekday: 'short'
+        });
+      } catch (error) {
+        throw new Error(`Unknown timezone ${this.timezone}`);
+      }
+    }
+  }
+
+  /**
+   * Private: Whether the pattern allows the day of a local time.
+   *
+   * Returns a Boolean.
+   */
+  matchesDay(local) {
+    if (this.fields.month.indexOf(local.month) < 0) {
+      return false;
+    }
+    let day = this.fields.day.indexOf(local.day) >= 0;
+    let weekday = this.fields.weekday.indexOf(local.weekday) >= 0;
+    if (this.anyDay || this.anyWeekday) {
+      return day && weekday;
+    }
+    return day || weekday;
+  }
+
+  /**
+   * Public: The next time matching the pattern, strictly after a time.
+   *
+   * @param {number} after - A Number timestamp (defaults to now).
+   *
+   * Returns a Number timestamp, or null if nothing matches within years.
+   */
+  next(after = Date.now()) {
+    const minute = 60 * 1000;
+    let time = Math.floor(after / minute) * minute + minute;
+    let limit = after + CRON_MAX_YEARS * 366 * 24 * 60 * minute;
+    while (time <= limit) {
+      let local = localTime(time, this.formatter);
+      if (!this.matchesDay(local)) {
+        // Skip to the next local midnight, or an hour before it on days
+        // shortened by daylight saving time
+        time += Math.max((23 - local.hour) * 60 - local.minute,
+          60 - local.minute) * minute;
+      } else if (this.fields.hour.indexOf(local.hour) < 0) {
+        time += (60 - local.minute) * minute;
+      } else if (this.fields.minute.indexOf(local.minute) < 0) {
+        time += minute;
+      } else {
+        return time;
+      }
+    }
+    return null;
+  }
+}
+
+export default CronPattern;
@@ -0,0 +1,245 @@
+const DIRECTORY_INDEXES = [
+  'name',
+  'email',
+  'alias',
+  'adapter',
+  'initials'
+];
+
+/**
+ * Private: Normalize a value for case-insensitive lookups.
+ */
+let normalize = value => String(value).trim().toLowerCase();
+
+/**
+ * Private: Split a name into its words.
+ */
+let words = name => normalize(name).split(/[\s._-]+/).filter(w => w.length);
+
+/**
+ * Private: The initials of a name, e.g. 'go' for 'Guy One'.
+ */
+let initialsOf = name => words(name).map(word => word[0]).join('');
+
+/**
+ * Private: The Levenshtein edit distance between two Strings.
+ */
+let distance = (a, b) => {
+  let previous = [];
+  for (let j = 0; j <= b.length; j++) {
+    previous.push(j);
+  }
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current.push(Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Private: The index entries of a user, as [index, key] pairs.
+ */
+let entriesOf = (user) => {
+  let entries = [];
+  let add = (index, key) => {
+    if (key == null || key === '') {
+      return;
+    }
+    key = normalize(key);
+    if (!entries.some(entry => entry[0] === index && entry[1] === key)) {
+      entries.push([index, key]);
+    }
+  };
+  if (user.name != null) {
+    add('name', user.name);
+    add('initials', initialsOf(user.name));
+  }
+  add('email', user.email);
+  add('alias', user.nickname);
+  for (let alias of user.aliases || []) {
+    add('alias', alias);
+  }
+  let adapterIds = user.adapterIds || {};
+  for (let adapter of Object.keys(adapterIds)) {
+    add('adapter', `${adapter}:${adapterIds[adapter]}`);
+  }
+  return entries;
+};
+
+class UserDirectory {
+  /**
+   * Indexes the users stored in the brain by name, email, alias (`aliases`
+   * and `nickname`), adapter specific id (`adapterIds`, keyed on adapter
+   * name) and initials. Users are reindexed as the brain reports changes.
+   * Users changed or added directly, by scripts or migrations, are checked
+   * on lookup: stale entries are refreshed and a lookup the index misses
+   * falls back to scanning the users.
+   *
+   * @param {object} brain - A Brain instance.
+   */
+  constructor(brain) {
+    this.brain = brain;
+    this.users = null;
+    brain.on('changed', (change) => {
+      if (change.section !== 'users') {
+        return;
+      }
+      let users = this.brain.data.users || {};
+      let user = users[change.key];
+      if (change.key == null || this.users !== users) {
+        this.users = null;
+      } else if (user) {
+        this.index(user);
+      }
+    });
+  }
+
+  /**
+   * Private: Rebuild the indexes if the users were replaced since they were
+   * last built.
+   *
+   * Returns nothing.
+   */
+  ensure() {
+    let users = this.brain.data.users || {};
+    if (this.users === users) {
+      return;
+    }
+    this.users = users;
+    this.indexes = {};
+    for (let name of DIRECTORY_INDEXES) {
+      this.indexes[name] = {};
+    }
+    this.entries = {};
+    for (let id of Object.keys(users)) {
+      this.index(users[id]);
+    }
+  }
+
+  /**
+   * Public: Add or refresh the index entries of a user.
+   *
+   * @param {object} user - A User instance.
+   *
+   * Returns nothing.
+   */
+  index(user) {
+    this.ensure();
+    let id = String(user.id);
+    this.unindex(id);
+    let entries = this.entries[id] = entriesOf(user);
+    for (let entry of entries) {
+      let ids = this.indexes[entry[0]][entry[1]] ||
+        (this.indexes[entry[0]][entry[1]] = []);
+      ids.push(id);
+    }
+  }
+
+  /**
+   * Private: Drop the index entries of a user.
+   *
+   * @param {string} id - The String id of the user.
+   *
+   * Returns nothing.
+   */
+  unindex(id) {
+    for (let entry of this.entries[id] || []) {
+      let ids = this.indexes[entry[0]][entry[1]];
+      ids.splice(ids.indexOf(id), 1);
+    }
+    delete this.entries[id];
+  }
+
+  /**
+   * Public: Find users by an exact, case-insensitive index key.
+   *
+   * @param {string} index - One of 'name', 'email', 'alias', 'adapter' or
+   *                          'initials'.
+   * @param {string} key   - The String to look up.
+   *
+   * Returns an Array of User instances.
+   */
+  find(index, key) {
+    this.ensure();
+    key = normalize(key);
+    let matches = user => entriesOf(user).some(entry =>
+      entry[0] === index && entry[1] === key);
+    let found = [];
+    for (let id of (this.indexes[index][key] || []).slice()) {
+      let user = this.users[id];
+      if (user && matches(user)) {
+        found.push(user);
+      } else if (user) {
+        this.index(user);
+      } else {
+        this.unindex(id);
+      }
+    }
+    if (found.length) {
+      return found;
+    }
+    // The user may have been changed or added without the brain knowing
+    for (let id of Object.keys(this.users)) {
+      let user = this.users[id];
+      if (matches(user)) {
+        this.index(user);
+        found.push(user);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Public: Search users by name, alias, email or initials, ranking exact
+   * matches first, then prefix matches, initials and finally names within
+   * a small edit distance.
+   *
+   * @param {string} query   - The String to search for.
+   * @param {object} options - An optional Object with `maxDistance`, the
+   *                            largest edit distance still matching
+   *                            (defaults to 2), and `limit`.
+   *
+   * Returns an Array of User instances, best match first.
+   */
+  search(query, options = {}) {
+    this.ensure();
+    let maxDistance = options.maxDistance != null ? options.maxDistance : 2;
+    let lowerQuery = normalize(query);
+    let ranked = [];
+    for (let id of Object.keys(this.users)) {
+      let user = this.users[id];
+      let names = [user.name, user.nickname, user.email]
+        .concat(user.aliases || [])
+        .filter(name => name != null && name !== '')
+        .map(normalize);
+      let score = null;
+      if (names.indexOf(lowerQuery) >= 0) {
+        score = 0;
+      } else if (names.some(name => name.lastIndexOf(lowerQuery, 0) === 0)) {
+        score = 1;
+      } else if (user.name != null && initialsOf(user.name) === lowerQuery) {
+        score = 2;
+      } else {
+        let best = Math.min(...names.map(name => distance(name, lowerQuery)));
+        if (best <= maxDistance) {
+          score = 2 + best;
+        }
+      }
+      if (score != null) {
+        ranked.push({user: user, score: score});
+      }
+    }
+    ranked.sort((a, b) => a.score - b.score ||
+      String(a.user.name).localeCompare(String(b.user.name)));
+    let users = ranked.map(result => result.user);
+    return options.limit != null ? users.slice(0, options.limit) : users;
+  }
+}
+
+export default UserDirectory;
@@ -10,6 +10,11 @@ class Listener {
    * want to act on it.
    * An identifier should be provided in the options parameter to uniquely
    * identify the listener (options.id).
+   * The callback may return a Promise, which is waited for before the
+   * message is passed on, at most options.timeout seconds if given.
+   * Listeners run by descending options.priority (defaults to 0), and one
+   * with options.fallthrough set to false finishes the message once it has
+   * fired, so that listeners after it are skipped.
    *
    * @param robot    - A Robot instance.
    * @param matcher  - A Function that determines if this listener should trigger the
@@ -23,6 +28,7 @@ class Listener {
     this.matcher = matcher;
     this.options = options;
     this.callback = callback;
+    this.owner = robot.currentScript || null;
 
     if (this.matcher == null) {
       throw new Error('Missing a matcher for Listener');
@@ -82,12 +88,16 @@ class Listener {
       let executeListener = (context, done) => {
         this.robot.logger.debug(
           'Executing listener callback for Message \'${message}\'');
+        let result;
         try {
-          this.callback(context.response);
+          result = this.callback(context.response);
         } catch (err) {
           this.robot.emit('error', err, context.response);
         }
-        done();
+        if (this.options.fallthrough === false) {
+          context.response.message.finish();
+        }
+        this.settle(result, context.response, done);
       };
 
       // When everything is finished (down the middleware stack and back up),
@@ -114,6 +124,45 @@ class Listener {
       return false;
     }
   }
+
+  /**
+   * Private: Wait for the Promise a listener callback returned, if any, and
+   * at most `options.timeout` seconds. A rejection or timeout is emitted as
+   * an error with the Response, reaching the robot's error handlers.
+   *
+   * @param result   - The value returned by the callback.
+   * @param response - The Response passed to the callback.
+   * @param done     - A Function called once the callback has finished.
+   *
+   * Returns nothing.
+   */
+  settle(result, response, done) {
+    if (result == null || typeof result.then !== 'function') {
+      return done();
+    }
+    let timer = null;
+    let finished = false;
+    let finish = (err) => {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      clearTimeout(timer);
+      if (err) {
+        this.robot.emit('error', err, response);
+      }
+      done();
+    };
+    if (this.options.timeout != null) {
+      timer = setTimeout(() => {
+        finish(new Error(`Listener ${this.options.id || this.regex} timed ` +
+          `out after ${this.options.timeout} seconds`));
+      }, this.options.timeout * 1000);
+    }
+    result.then(() => finish(), (err) => {
+      finish(err || new Error('Listener callback rejected'));
+    });
+  }
 }
 
 class TextListener extends Listener {
@@ -9,6 +9,9 @@ class Middleware {
   constructor(robot) {
     this.robot = robot;
     this.stack = [];
+    this.entries = [];
+    this.ordered = [];
+    this.sequence = 0;
   }
 
   /**
@@ -66,7 +69,7 @@ class Middleware {
    *
    * middleware - A generic pipeline component function that can either
    *              continue the pipeline or interrupt it. The function is called
-   *              with (robot, context, next, done). If execution should
+   *              with (context, next, done). If execution should
    *              continue (next middleware, final callback), the middleware
    *              should call the 'next' function with 'done' as an optional
    *              argument.
@@ -74,17 +77,217 @@ class Middleware {
    *              no arguments. Middleware may wrap the 'done' function in
    *              order to execute logic after the final callback has been
    *              executed.
+   *              Promise based middleware is also accepted, in the same stack:
+   *              (context) returning a Promise continues the pipeline once it
+   *              resolves, unless it resolves to false; (context, next)
+   *              continues it by calling next(), which returns a Promise
+   *              resolved when the rest of the pipeline has completed.
+   *              A rejection is emitted as an error and stops the pipeline.
+   * options    - An optional Object with:
+   *              name     - A unique String to refer to the middleware.
+   *              priority - A Number, higher runs earlier (defaults to 0).
+   *              before   - The name, or Array of names, of middleware this
+   *                         one must run before.
+   *              after    - The name, or Array of names, of middleware this
+   *                         one must run after.
+   *              Middleware of equal priority runs in registration order.
    *
    * Returns nothing.
    */
-  register(middleware) {
-    if (middleware.length !== 3) {
+  register(middleware, options = {}) {
+    if (middleware.length < 1 || middleware.length > 3) {
       throw new Error(
         `Incorrect number of arguments for middleware callback
-        (expected 3, got ${middleware.length})`
+        (expected 1 to 3, got ${middleware.length})`
       );
     }
-    this.stack.push(middleware);
+    if (options.name != null && this.find(options.name)) {
+      throw new Error(`Middleware ${options.name} is already registered`);
+    }
+    let entry = {
+      name: options.name != null ? options.name : null,
+      fn: middleware.length < 3 ? this.adapt(middleware) : middleware,
+      middleware: middleware,
+      priority: options.priority || 0,
+      before: [].concat(options.before || []),
+      after: [].concat(options.after || []),
+      enabled: true,
+      owner: this.robot.currentScript || null,
+      sequence: this.sequence++
+    };
+    this.entries.push(entry);
+    try {
+      this.sort();
+    } catch (error) {
+      this.entries.pop();
+      throw error;
+    }
+  }
+
+  /**
+   * Public: Remove middleware.
+   *
+   * middleware - The String name or the Function that was registered.
+   *
+   * Returns a Boolean of whether the middleware was found.
+   */
+  unregister(middleware) {
+    let entry = this.find(middleware);
+    if (!entry) {
+      return false;
+    }
+    this.entries.splice(this.entries.indexOf(entry), 1);
+    this.sort();
+    return true;
+  }
+
+  /**
+   * Public: Remove the middleware registered by a script.
+   *
+   * owner - The String name of the script, see Robot#currentScript.
+   *
+   * Returns the Number of middleware removed.
+   */
+  unregisterOwner(owner) {
+    let count = this.entries.length;
+    this.entries = this.entries.filter(entry => entry.owner !== owner);
+    this.sort();
+    return count - this.entries.length;
+  }
+
+  /**
+   * Public: Skip named middleware until it is enabled again.
+   *
+   * name - The String name of the middleware.
+   *
+   * Returns a Boolean of whether the middleware was found.
+   */
+  disable(name) {
+    return this.toggle(name, false);
+  }
+
+  /**
+   * Public: Run disabled middleware again.
+   *
+   * name - The String name of the middleware.
+   *
+   * Returns a Boolean of whether the middleware was found.
+   */
+  enable(name) {
+    return this.toggle(name, true);
+  }
+
+  /**
+   * Public: Describe the registered middleware, in execution order.
+   *
+   * Returns an Array of Objects with the name, priority, before, after,
+   * enabled and owner (the script that registered it) of each middleware.
+   */
+  list() {
+    return this.ordered.map(entry => ({
+      name: entry.name,
+      priority: entry.priority,
+      before: entry.before,
+      after: entry.after,
+      enabled: entry.enabled,
+      owner: entry.owner
+    }));
+  }
+
+  /**
+   * Private: Find an entry by name or function.
+   *
+   * Returns the entry Object, or undefined.
+   */
+  find(middleware) {
+    return this.entries.find(entry => entry.name === middleware ||
+      entry.fn === middleware || entry.middleware === middleware);
+  }
+
+  /**
+   * Private: Enable or disable named middleware.
+   *
+   * Returns a Boolean of whether the middleware was found.
+   */
+  toggle(name, enabled) {
+    let entry = this.find(name);
+    if (!entry) {
+      return false;
+    }
+    entry.enabled = enabled;
+    this.sort();
+    return true;
+  }
+
+  /**
+   * Private: Order the entries by priority and registration, moving them as
+   * needed to satisfy their before and after constraints, and rebuild the
+   * stack.
+   *
+   * Returns nothing.
+   */
+  sort() {
+    let pending = this.entries.slice().sort((a, b) =>
+      b.priority - a.priority || a.sequence - b.sequence);
+    let names = pending.map(entry => entry.name);
+    let requires = new Map(pending.map(entry => [entry, []]));
+    for (let entry of pending) {
+      for (let name of entry.after) {
+        let other = pending[names.indexOf(name)];
+        other && requires.get(entry).push(other);
+      }
+      for (let name of entry.before) {
+        let other = pending[names.indexOf(name)];
+        other && requires.get(other).push(entry);
+      }
+    }
+    let ordered = [];
+    while (pending.length) {
+      let next = pending.find(entry =>
+        requires.get(entry).every(other => ordered.indexOf(other) >= 0));
+      if (!next) {
+        throw new Error('Middleware ordering constraints form a cycle ' +
+          `between ${pending.map(entry => entry.name).join(', ')}`);
+      }
+      ordered.push(next);
+      pending.splice(pending.indexOf(next), 1);
+    }
+    this.ordered = ordered;
+    this.stack = ordered.filter(entry => entry.enabled)
+      .map(entry => entry.fn);
+  }
+
+  /**
+   * Private: Wrap Promise based middleware into the (context, next, done)
+   * form.
+   *
+   * middleware - A function taking (context) or (context, next).
+   *
+   * Returns a Function taking (context, next, done).
+   */
+  adapt(middleware) {
+    let adapted = (context, next, done) => {
+      let continued = false;
+      let nextPromise = () => {
+        if (continued) {
+          return Promise.reject(new Error('next() called multiple times'));
+        }
+        continued = true;
+        return new Promise(resolve => next(() => resolve()));
+      };
+      new Promise(resolve => resolve(middleware(context, nextPromise)))
+        .then((result) => {
+          if (middleware.length === 1 && result !== false) {
+            next(done);
+          } else {
+            done();
+          }
+        }, (err) => {
+          this.robot.emit('error', err, context.response);
+          done();
+        });
+    };
+    return adapted;
   }
 }
 
@@ -0,0 +1,144 @@
+class Namespace {
+  /**
+   * A scoped key-value store kept in the brain, so that scripts using the
+   * same key names don't overwrite each other. Get one through
+   * `robot.brain.namespace(name)`.
+   *
+   * @param {object} brain - A Brain instance.
+   * @param {string} name  - A String name of the namespace.
+   */
+  constructor(brain, name) {
+    this.brain = brain;
+    this.name = name;
+  }
+
+  /**
+   * Private: The storage object of this namespace in the brain data,
+   * created on first use.
+   *
+   * Returns an Object with `values` and `expires` keyed on key name.
+   */
+  store() {
+    let namespaces = this.brain.data._namespaces ||
+      (this.brain.data._namespaces = {});
+    let store = namespaces[this.name] ||
+      (namespaces[this.name] = {values: {}, expires: {}});
+    return store;
+  }
+
+  /**
+   * Private: Drop the key if its time to live has passed.
+   *
+   * Returns a Boolean of whether the key was expired.
+   */
+  expire(key) {
+    let store = this.store();
+    if (store.expires[key] != null && store.expires[key] <= Date.now()) {
+      delete store.values[key];
+      delete store.expires[key];
+      this.changed(key);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Private: Tell the brain that key changed.
+   *
+   * Returns nothing.
+   */
+  changed(key) {
+    this.brain.markDirty(`_namespaces.${this.name}`, key);
+  }
+
+  /**
+   * Public: Get the value stored under key.
+   *
+   * @param {string} key - A String key.
+   *
+   * Returns the value, or null if not found or expired.
+   */
+  get(key) {
+    if (!this.has(key)) {
+      return null;
+    }
+    return this.store().values[key];
+  }
+
+  /**
+   * Public: Store a value under key.
+   *
+   * @param {string} key     - A String key.
+   * @param value            - The value to store.
+   * @param {object} options - An optional Object with `ttl`, the number of
+   *                            seconds after which the key expires.
+   *
+   * Returns the namespace for chaining.
+   */
+  set(key, value, options = {}) {
+    let store = this.store();
+    store.values[key] = value;
+    if (options.ttl != null) {
+      store.expires[key] = Date.now() + options.ttl * 1000;
+    } else {
+      delete store.expires[key];
+    }
+    this.changed(key);
+    return this;
+  }
+
+  /**
+   * Public: Remove key if it exists.
+   *
+   * @param {string} key - A String key.
+   *
+   * Returns the namespace for chaining.
+   */
+  remove(key) {
+    let store = this.store();
+    delete store.values[key];
+    delete store.expires[key];
+    this.changed(key);
+    return this;
+  }
+
+  /**
+   * Public: Whether a value that has not expired is stored under key.
+   *
+   * @param {string} key - A String key.
+   *
+   * Returns a Boolean.
+   */
+  has(key) {
+    let store = this.store();
+    return Object.prototype.hasOwnProperty.call(store.values, key) &&
+      !this.expire(key);
+  }
+
+  /**
+   * Public: List the keys that have not expired.
+   *
+   * Returns an Array of Strings.
+   */
+  keys() {
+    return Object.keys(this.store().values).filter(key => !this.expire(key));
+  }
+
+  /**
+   * Public: Add a number to the value stored under key, starting from 0.
+   * An existing expiry is kept.
+   *
+   * @param {string} key - A String key.
+   * @param {number} by  - The Number to add (defaults to 1).
+   *
+   * Returns the new Number value.
+   */
+  increment(key, by = 1) {
+    let value = (Number(this.get(key)) || 0) + by;
+    this.store().values[key] = value;
+    this.changed(key);
+    return value;
+  }
+}
+
+export default Namespace;
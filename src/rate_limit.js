@@ -0,0 +1,179 @@
+const RATE_LIMIT_DEFAULTS = {
+  capacity: 5,
+  interval: 60,
+  per: 'user',
+  exceeded: 'drop',
+  reply: 'Slow down! Try again in {wait} seconds.'
+};
+
+const RATE_LIMIT_SCOPES = ['user', 'room', 'listener'];
+
+const RATE_LIMIT_BEHAVIORS = ['drop', 'reply', 'event'];
+
+class RateLimiter {
+  /**
+   * Throttles listeners having a `rateLimit` option with a token bucket kept
+   * per listener, and per user and/or room. The option is either a Number of
+   * calls allowed per minute or an Object with:
+   *
+   *   capacity - The Number of calls allowed in a burst (defaults to 5).
+   *   interval - The Number of seconds for a full bucket to refill
+   *              (defaults to 60).
+   *   per      - 'user', 'room', 'listener' or an Array of those, what the
+   *              bucket is kept for (defaults to 'user').
+   *   exceeded - What to do with messages over the limit: 'drop' them
+   *              silently, 'reply' once until calls are allowed again, or
+   *              emit an 'event' (defaults to 'drop').
+   *   reply    - The String reply, where {wait} is replaced by the number of
+   *              seconds until the next allowed call.
+   *
+   * The robot emits 'rate-limited' with the Response and an Object with the
+   * listener id, bucket key and wait time for the 'event' behavior.
+   *
+   * @param {object} robot - A Robot instance.
+   */
+  constructor(robot) {
+    this.robot = robot;
+    this.buckets = {};
+    this.checks = 0;
+
+    robot.listenerMiddleware((context, next, done) => {
+      let listener = context.listener;
+      let options = listener.options || {};
+      if (options.rateLimit == null) {
+        return next(done);
+      }
+      let limit = listener.rateLimit || this.limitFor(options.rateLimit);
+      let key = this.keyFor(listener, context.response.message, limit);
+      let wait = this.take(key, limit);
+      if (wait === 0) {
+        return next(done);
+      }
+      this.robot.logger.debug(`Rate limited ${key}, retry in ${wait}s`);
+      if (limit.exceeded === 'reply') {
+        let bucket = this.buckets[key];
+        if (!bucket.notified) {
+          bucket.notified = true;
+          context.response.reply(limit.reply.replace('{wait}', wait));
+        }
+      } else if (limit.exceeded === 'event') {
+        this.robot.emit('rate-limited', context.response, {
+          listener: options.id,
+          key: key,
+          wait: wait
+        });
+      }
+      done();
+    }, {name: 'rate-limit', after: 'auth'});
+  }
+
+  /**
+   * Public: Check a rateLimit option and fill in its defaults. The robot
+   * checks the option of each listener as it is registered.
+   *
+   * @param {number|object} option - The rateLimit option of a listener.
+   *
+   * Returns an Object.
+   * Throws an Error if the option is invalid.
+   */
+  limitFor(option) {
+    if (typeof option === 'number') {
+      option = {capacity: option};
+    }
+    if (option == null || typeof option !== 'object') {
+      throw new Error(`Invalid rate limit ${option}`);
+    }
+    let limit = Object.assign({}, RATE_LIMIT_DEFAULTS, option);
+    for (let name of ['capacity', 'interval']) {
+      if (typeof limit[name] !== 'number' || !(limit[name] > 0)) {
+        throw new Error(`Rate limit ${name} must be a positive Number`);
+      }
+    }
+    let per = [].concat(limit.per);
+    for (let scope of per) {
+      if (RATE_LIMIT_SCOPES.indexOf(scope) < 0) {
+        throw new Error(`Unknown rate limit scope ${scope}`);
+      }
+    }
+    if (RATE_LIMIT_BEHAVIORS.indexOf(limit.exceeded) < 0) {
+      throw new Error(`Unknown rate limit behavior ${limit.exceeded}`);
+    }
+    limit.per = per;
+    return limit;
+  }
+
+  /**
+   * Private: The key of the bucket a message draws from.
+   *
+   * Returns a String.
+   */
+  keyFor(listener, message, limit) {
+    let parts = [listener.options.id || String(listener.regex ||
+      this.robot.listeners.indexOf(listener))];
+    if (limit.per.indexOf('user') >= 0) {
+      parts.push(`user:${message.user && message.user.id}`);
+    }
+    if (limit.per.indexOf('room') >= 0) {
+      parts.push(`room:${message.room || message.user && message.user.room}`);
+    }
+    return parts.join('|');
+  }
+
+  /**
+   * Public: Take a token from a bucket.
+   *
+   * @param {string} key   - A String key of the bucket.
+   * @param {object} limit - An Object with the `capacity` and `interval` of
+   *                          the bucket.
+   *
+   * Returns 0 if a token was taken, otherwise the Number of seconds until
+   * one is available.
+   */
+  take(key, limit) {
+    let now = Date.now();
+    let rate = limit.capacity / (limit.interval * 1000);
+    if (++this.checks % 100 === 0) {
+      this.sweep(now);
+    }
+    let bucket = this.buckets[key] ||
+      (this.buckets[key] = {tokens: limit.capacity, time: now, rate: rate});
+    bucket.capacity = limit.capacity;
+    bucket.rate = rate;
+    bucket.tokens = Math.min(limit.capacity,
+      bucket.tokens + (now - bucket.time) * rate);
+    bucket.time = now;
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      bucket.notified = false;
+      return 0;
+    }
+    return Math.ceil((1 - bucket.tokens) / rate / 1000);
+  }
+
+  /**
+   * Private: Forget the buckets that have refilled, so that they don't pile
+   * up.
+   *
+   * Returns nothing.
+   */
+  sweep(now) {
+    for (let key of Object.keys(this.buckets)) {
+      let bucket = this.buckets[key];
+      if (bucket.tokens + (now - bucket.time) * bucket.rate >=
+        bucket.capacity) {
+        delete this.buckets[key];
+      }
+    }
+  }
+
+  /**
+   * Public: Forget every bucket, allowing all calls again.
+   *
+   * Returns nothing.
+   */
+  reset() {
+    this.buckets = {};
+  }
+}
+
+export default RateLimiter;
@@ -19,6 +19,59 @@ class Response {
     };
   }
 
+  /**
+   * Public: The user who sent the message.
+   *
+   * @return {object} A User instance.
+   */
+  get user() {
+    return this.message.user;
+  }
+
+  /**
+   * Public: Get or set a preference of the user who sent the message. The
+   * preference is stored in the brain.
+   *
+   * @param {string} key - A String of the preference name.
+   * @param value        - The value to set (optional). Pass null to remove
+   *                        the preference.
+   *
+   * @return The value of the preference, or null if not set.
+   */
+  userPref(key, value) {
+    if (value !== undefined) {
+      this.robot.brain.setUserPref(this.user, key, value);
+    }
+    return this.user.pref(key);
+  }
+
+  /**
+   * Public: Ask the user a question and wait for their next message in this
+   * room, see Conversations#prompt.
+   *
+   * @param {string} question - The String question.
+   * @param {object} options  - An optional Object with the `timeout` in
+   *                             seconds and the `cancel` words.
+   *
+   * @return A Promise of the Response of the answer, or of null without one.
+   */
+  prompt(question, options) {
+    return this.robot.conversations.prompt(this, question, options);
+  }
+
+  /**
+   * Public: Walk the user through a dialog tree, see Conversations#dialog.
+   *
+   * @param {object} node    - The Object of the first question.
+   * @param {object} options - Options for each prompt (optional).
+   *
+   * @return A Promise of the value returned by the last choice, or of null
+   * if a question got no answer.
+   */
+  dialog(node, options) {
+    return this.robot.conversations.dialog(this, node, options);
+  }
+
   /**
    * Public: Posts a message back to the chat source
    *
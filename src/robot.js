@@ -4,12 +4,19 @@ import * as Path from 'path';
 import * as HttpClient from 'scoped-http-client';
 import {EventEmitter} from 'events';
 import * as async from 'async';
+import Ajv from 'ajv';
+import * as Yaml from 'js-yaml';
 // support load coffee script plugins
 import 'coffee-script/register';
 
 import User from './user';
 import Brain from './brain';
+import Auth from './auth';
+import RateLimiter from './rate_limit';
+import Conversations from './conversation';
+import Scheduler from './scheduler';
 import Response from './response';
+import Command from './command';
 import {Listener, TextListener} from './listener';
 import {EnterMessage, LeaveMessage, TopicMessage, CatchAllMessage}
   from './message';
@@ -20,6 +27,10 @@ const WEBBY_DEFAULT_ADAPTERS = [
   'shell'
 ];
 
+const WEBBY_DEFAULT_BRAINS = [
+  'file'
+];
+
 const WEBBY_DOCUMENTATION_SECTIONS = [
   'description',
   'dependencies',
@@ -33,6 +44,41 @@ const WEBBY_DOCUMENTATION_SECTIONS = [
   'urls'
 ];
 
+// A variable declared in the Configuration section of a script
+const WEBBY_CONFIGURATION_VARIABLE = /^([A-Z][A-Z0-9_]*)(?=$|[\s:=-])/;
+
+// Lines which may come before the documentation of a script
+const WEBBY_PROLOGUE = /^(|#!.*|(['"])use strict\2;?)$/;
+
+/**
+ * Private: The lines of the comments heading a script, without the comment
+ * markers. Line (`#`, `//`) and block (`/* *\/`, `/** *\/`) comments are
+ * read; a shebang, 'use strict' and blank lines before them are skipped.
+ */
+let headerComments = (body) => {
+  let lines = [];
+  let block = false;
+  let started = false;
+  for (let line of body.split('\n')) {
+    let text = line.trim();
+    if (block || /^\/\*/.test(text)) {
+      text = block ? text.replace(/^\*(?!\/)\s?/, '') :
+        text.replace(/^\/\*+\s?/, '');
+      let end = text.indexOf('*/');
+      block = end < 0;
+      started = true;
+      lines.push(end < 0 ? text : text.slice(0, end));
+    } else if (text[0] === '#' && text[1] !== '!' ||
+      text.substr(0, 2) === '//') {
+      started = true;
+      lines.push(text.replace(/^(#|\/\/)\s?/, ''));
+    } else if (started || !WEBBY_PROLOGUE.test(text)) {
+      break;
+    }
+  }
+  return lines;
+};
+
 class Robot {
   /**
    * Robots receive messages from a chat source (Campfire, irc, etc), and
@@ -58,13 +104,22 @@ class Robot {
     this.adapter = null;
     this.Response = Response;
     this.commands = [];
+    this.documentation = {};
     this.listeners = [];
+    this.currentScript = null;
+    this.scripts = {};
+    this.failedScripts = {};
+    this.strictLoading = false;
     this.middleware = {
       listener: new Middleware(this),
       response: new Middleware(this),
       receive: new Middleware(this)
     };
     this.logger = new Log(process.env.WEBBY_LOG_LEVEL || 'info');
+    this.auth = new Auth(this);
+    this.rateLimiter = new RateLimiter(this);
+    this.conversations = new Conversations(this);
+    this.scheduler = new Scheduler(this);
     this.pingIntervalId = null;
     this.globalHttpOptions = {};
     this.parseVersion();
@@ -101,7 +156,51 @@ class Robot {
    * Returns nothing.
    */
   listen(matcher, options, callback) {
-    this.listeners.push(new Listener(this, matcher, options, callback));
+    this.addListener(new Listener(this, matcher, options, callback));
+  }
+
+  /**
+   * Private: Insert a Listener after those of higher or equal priority, so
+   * that listeners run by descending `options.priority` (defaults to 0), then
+   * in registration order. An invalid `options.rateLimit` throws, failing the
+   * script that registers it.
+   *
+   * @param {object} listener - A Listener instance.
+   *
+   * Returns nothing.
+   */
+  addListener(listener) {
+    if (listener.options.rateLimit != null) {
+      listener.rateLimit = this.rateLimiter.limitFor(
+        listener.options.rateLimit);
+    }
+    let priority = listener.options.priority || 0;
+    let index = this.listeners.findIndex(other =>
+      (other.options.priority || 0) < priority);
+    if (index < 0) {
+      this.listeners.push(listener);
+    } else {
+      this.listeners.splice(index, 0, listener);
+    }
+  }
+
+  /**
+   * Public: Describe the listeners in the order messages are dispatched to
+   * them.
+   *
+   * Returns an Array of Objects with the position, id, priority, fallthrough,
+   * matcher (the regex source, when there is one) and owner (the script that
+   * registered it) of each listener.
+   */
+  listenerReport() {
+    return this.listeners.map((listener, index) => ({
+      position: index + 1,
+      id: listener.options.id,
+      priority: listener.options.priority || 0,
+      fallthrough: listener.options.fallthrough !== false,
+      matcher: listener.regex ? listener.regex.toString() : null,
+      owner: listener.owner
+    }));
   }
 
   /**
@@ -117,7 +216,7 @@ class Robot {
    * Returns nothing.
    */
   hear(regex, options, callback) {
-    this.listeners.push(new TextListener(this, regex, options, callback));
+    this.addListener(new TextListener(this, regex, options, callback));
   }
 
   /**
@@ -137,6 +236,41 @@ class Robot {
     this.hear(this.respondPattern(regex), options, callback);
   }
 
+  /**
+   * Public: Adds a Listener for a command addressed to the robot, described
+   * by a usage String like 'deploy <app> [env] --force' (see Command). The
+   * parsed arguments are available in `res.args`; malformed arguments get a
+   * reply with the usage instead of calling the callback. The usage and
+   * description become a help command.
+   *
+   * @param {string} usage   - A String of the command usage.
+   * @param {object} options - An Object of additional parameters keyed on
+   *                            extension name, plus the `description` of the
+   *                            command (optional).
+   * @param callback - A Function that is called with a Response object.
+   *
+   * Returns the Command.
+   */
+  command(usage, options, callback) {
+    if (callback == null) {
+      callback = options;
+      options = {};
+    }
+    let command = new Command(usage);
+    this.commands.push(`hubot ${command.usage}` +
+      (options.description ? ` - ${options.description}` : ''));
+    this.respond(command.pattern(), options, (res) => {
+      try {
+        res.args = command.parse(res.match[1]);
+      } catch (error) {
+        res.reply(`${error.message}. Usage: ${this.name} ${command.usage}`);
+        return;
+      }
+      return callback(res);
+    });
+    return command;
+  }
+
   /**
    * Public: Build a regular expression that matches messages addressed
    * directly to the robot
@@ -210,6 +344,24 @@ class Robot {
     this.listen(msg => msg instanceof TopicMessage, options, callback);
   }
 
+  /**
+   * Public: Schedule a job at a date or on a cron pattern, see
+   * Scheduler#schedule.
+   *
+   * @param when            - A cron pattern String, or a Date to run once.
+   * @param {string} room   - The String room the job is about.
+   * @param action          - A String message to send to the room, an Object
+   *                          with a `handler` name and `data`, or a Function
+   *                          called with the robot and the job.
+   * @param {object} options - An optional Object with the job `id` and
+   *                            `timezone`.
+   *
+   * Returns the job Object.
+   */
+  schedule(when, room, action, options) {
+    return this.scheduler.schedule(when, room, action, options);
+  }
+
   /**
    * Public: Adds an error handler when an uncaught exception or user emitted
    * error event occurs.
@@ -276,10 +428,15 @@ class Robot {
    *         If not, the middleware should call the 'done' function with
    *         no arguments.
    *
+   *         Promise based middleware is accepted too, see
+   *         Middleware#register.
+   * @param {object} options - An optional Object with the name, priority,
+   *         before and after of the middleware.
+   *
    * Returns nothing.
    */
-  listenerMiddleware(middleware) {
-    this.middleware.listener.register(middleware);
+  listenerMiddleware(middleware, options) {
+    this.middleware.listener.register(middleware, options);
   }
 
   /**
@@ -293,10 +450,15 @@ class Robot {
    *         the middleware should call done(). To modify the outgoing message,
    *         set context.string to a new message.
    *
+   *         Promise based middleware is accepted too, see
+   *         Middleware#register.
+   * @param {object} options - An optional Object with the name, priority,
+   *         before and after of the middleware.
+   *
    * Returns nothing.
    */
-  responseMiddleware(middleware) {
-    this.middleware.response.register(middleware);
+  responseMiddleware(middleware, options) {
+    this.middleware.response.register(middleware, options);
   }
 
   /**
@@ -310,10 +472,15 @@ class Robot {
    *         function with 'done' as an argument. If not, the middleware
    *         should call the 'done' function with no arguments.
    *
+   *         Promise based middleware is accepted too, see
+   *         Middleware#register.
+   * @param {object} options - An optional Object with the name, priority,
+   *         before and after of the middleware.
+   *
    * Returns nothing.
    */
-  receiveMiddleware(middleware) {
-    this.middleware.receive.register(middleware);
+  receiveMiddleware(middleware, options) {
+    this.middleware.receive.register(middleware, options);
   }
 
   /**
@@ -384,7 +551,7 @@ class Robot {
   }
 
   /**
-   * Public: Loads a file in path.
+   * Public: Loads a file in path. Failures are handled by loadFailed.
    *
    * @param {string} path - A String path on the filesystem.
    * @param {string} file - A String filename in path on the filesystem.
@@ -394,21 +561,237 @@ class Robot {
   loadFile(path, file) {
     let ext = Path.extname(file);
     let fullPath = Path.join(path, Path.basename(file, ext));
-    if (require.extensions[ext]) {
-      let script;
-      try {
-        script = require(fullPath);
-        if (typeof script === 'function') {
-          script(this);
-          this.parseHelp(Path.join(path, file));
-        } else {
-          this.logger.warning(`Expected ${fullPath}
-             to assign a function to module.exports, got ${typeof script}`);
-        }
-      } catch (error) {
-        this.logger.error(`Unable to load ${fullPath}: ${error.stack}`);
-        process.exit(1);
+    try {
+      this.loadScript(path, file);
+    } catch (error) {
+      this.loadFailed(fullPath, {path: path, file: file}, error);
+    }
+  }
+
+  /**
+   * Private: Handle a script which failed to load. With `strictLoading`, the
+   * process exits. Otherwise the script is unloaded, the failure is kept in
+   * `failedScripts` and emitted as 'script-load-error', and the other scripts
+   * keep loading.
+   *
+   * @param {string} name   - A String naming the script.
+   * @param {object} source - An Object with the `path` and `file` of a script
+   *                           file, or the `package` and `config` of an
+   *                           external script.
+   * @param {Error} error   - The Error the script failed with.
+   * @param {boolean} strict - A Boolean of whether to exit (defaults to
+   *                            `strictLoading`).
+   *
+   * Returns nothing.
+   */
+  loadFailed(name, source, error, strict = this.strictLoading) {
+    this.logger.error(`Unable to load ${name}: ${error.stack}`);
+    if (strict) {
+      process.exit(1);
+    }
+    // Drop what the script registered before failing
+    this.unload(name);
+    this.failedScripts[name] = Object.assign({}, source, {error: error});
+    this.emit('script-load-error', name, error);
+  }
+
+  /**
+   * Public: The scripts which loaded and the ones which failed to.
+   *
+   * Returns an Object with the `loaded` Array of script names, and the
+   * `failed` Array of Objects with the `name` and `error` message of each
+   * script which failed to load.
+   */
+  scriptReport() {
+    return {
+      loaded: Object.keys(this.scripts).sort(),
+      failed: Object.keys(this.failedScripts).sort().map(name => ({
+        name: name,
+        error: this.failedScripts[name].error.message
+      }))
+    };
+  }
+
+  /**
+   * Private: Load a script file, recording what it registers so that it can
+   * be unloaded. Throws if the script fails to load.
+   *
+   * @param {string} path - A String path on the filesystem.
+   * @param {string} file - A String filename in path on the filesystem.
+   *
+   * Returns a Boolean of whether a script was loaded.
+   */
+  loadScript(path, file) {
+    let ext = Path.extname(file);
+    let fullPath = Path.join(path, Path.basename(file, ext));
+    if (!require.extensions[ext]) {
+      return false;
+    }
+    let script = require(fullPath);
+    if (typeof script !== 'function') {
+      this.logger.warning(`Expected ${fullPath}
+         to assign a function to module.exports, got ${typeof script}`);
+      return false;
+    }
+    this.track(fullPath, {path: path, file: file}, () => {
+      script(this);
+      this.parseHelp(Path.join(path, file), script, fullPath);
+    });
+    return true;
+  }
+
+  /**
+   * Private: Run a script, recording the commands and HTTP routes it adds,
+   * then emit 'script-loaded'. Listeners and middleware record their script
+   * themselves, through `currentScript`. Scripts loaded while running it,
+   * like the files a package loads, record it as their `parent`.
+   *
+   * @param {string} name   - A String naming the script.
+   * @param {object} source - An Object with the `path` and `file` of a script
+   *                           file, or the `package` and `config` of an
+   *                           external script.
+   * @param run             - A Function running the script.
+   *
+   * Returns nothing.
+   */
+  track(name, source, run) {
+    let parent = this.currentScript;
+    let commands = this.commands.length;
+    let routes = this.routes().length;
+    this.currentScript = name;
+    try {
+      run();
+    } finally {
+      this.currentScript = parent;
+      // Leave out what the nested scripts recorded themselves
+      let nested = this.childScripts(name).map(child => this.scripts[child]);
+      let own = (added, key) => added.filter(item =>
+        !nested.some(child => child[key].indexOf(item) >= 0));
+      this.scripts[name] = Object.assign({}, source, {
+        parent: parent,
+        commands: own(this.commands.slice(commands), 'commands'),
+        routes: own(this.routes().slice(routes), 'routes')
+      });
+    }
+    delete this.failedScripts[name];
+    this.emit('script-loaded', name);
+  }
+
+  /**
+   * Private: The names of the scripts loaded by a script.
+   *
+   * Returns an Array of Strings.
+   */
+  childScripts(name) {
+    return Object.keys(this.scripts)
+      .filter(child => this.scripts[child].parent === name);
+  }
+
+  /**
+   * Private: The layers of the HTTP router, empty without HTTP server.
+   *
+   * Returns an Array.
+   */
+  routes() {
+    let router = this.router && this.router._router;
+    return router ? router.stack : [];
+  }
+
+  /**
+   * Private: The name a script was loaded under, from its path with or
+   * without extension, or its package name.
+   *
+   * Returns a String.
+   */
+  scriptName(path) {
+    if (this.scripts[path] || this.failedScripts[path]) {
+      return path;
+    }
+    let ext = Path.extname(path);
+    let name = Path.join(Path.dirname(path), Path.basename(path, ext));
+    return this.scripts[name] || this.failedScripts[name] ? name :
+      Path.resolve(name);
+  }
+
+  /**
+   * Public: Remove the listeners, middleware, help, HTTP routes and
+   * Function jobs registered by a script, and forget its module so that
+   * requiring it again runs the new code. The scripts it loaded, like the
+   * files of a package, are unloaded too. Other modules the script requires
+   * are not reloaded.
+   *
+   * @param {string} path - A String path of the script file, or the name of
+   *                         an external scripts package.
+   *
+   * Returns a Boolean of whether the script was loaded.
+   */
+  unload(path) {
+    let name = this.scriptName(path);
+    let script = this.scripts[name];
+    delete this.failedScripts[name];
+    if (script == null) {
+      return false;
+    }
+    for (let child of this.childScripts(name)) {
+      this.unload(child);
+    }
+    this.listeners = this.listeners.filter(listener => listener.owner !== name);
+    for (let kind of Object.keys(this.middleware)) {
+      this.middleware[kind].unregisterOwner(name);
+    }
+    for (let job of this.scheduler.list()) {
+      if (job.owner === name && job.callback) {
+        this.scheduler.cancel(job.id);
+      }
+    }
+    for (let command of script.commands) {
+      let index = this.commands.indexOf(command);
+      index >= 0 && this.commands.splice(index, 1);
+    }
+    delete this.documentation[name];
+    let routes = this.routes();
+    for (let route of script.routes) {
+      let index = routes.indexOf(route);
+      index >= 0 && routes.splice(index, 1);
+    }
+    try {
+      let module = script.package || Path.join(script.path, script.file);
+      delete require.cache[require.resolve(module)];
+    } catch (error) {
+      this.logger.debug(`Unable to forget the module of ${name}: ${error}`);
+    }
+    delete this.scripts[name];
+    this.logger.debug(`Unloaded ${name}`);
+    this.emit('script-unloaded', name);
+    return true;
+  }
+
+  /**
+   * Public: Unload a script and load it again, or load a new script file.
+   * Failures are kept like those of loadFailed, even with `strictLoading`,
+   * and leave the script unloaded.
+   *
+   * @param {string} path - A String path of the script file, or the name of
+   *                         an external scripts package.
+   *
+   * Returns a Boolean of whether the script was loaded.
+   */
+  reload(path) {
+    let name = this.scriptName(path);
+    let source = this.scripts[name] || this.failedScripts[name] ||
+      {path: Path.dirname(path), file: Path.basename(path)};
+    this.unload(name);
+    try {
+      if (!source.package) {
+        return this.loadScript(source.path, source.file);
       }
+      this.loadPackage(source.package, source.config);
+      return true;
+    } catch (error) {
+      this.loadFailed(name, source.package ?
+        {package: source.package, config: source.config} :
+        {path: source.path, file: source.file}, error, false);
+      return false;
     }
   }
 
@@ -429,6 +812,42 @@ class Robot {
     }
   }
 
+  /**
+   * Public: Loads the scripts shipped with Webby, which provide the built-in
+   * chat commands (e.g. managing roles).
+   *
+   * @param {string[]} skip - An Array of the names of the core scripts to
+   *                           leave out, e.g. `help` (defaults to the comma
+   *                           separated names of WEBBY_SKIP_CORE_SCRIPTS).
+   *
+   * Returns nothing.
+   */
+  loadCoreScripts(skip = (process.env.WEBBY_SKIP_CORE_SCRIPTS || '')
+    .split(',').map(name => name.trim())) {
+    let path = Path.join(__dirname, 'scripts');
+    this.logger.debug(`Loading core scripts from ${path}`);
+    for (let file of Fs.readdirSync(path).sort()) {
+      if (skip.indexOf(Path.basename(file, Path.extname(file))) < 0) {
+        this.loadFile(path, file);
+      }
+    }
+  }
+
+  /**
+   * Public: Unload the core help script when another loaded script answers
+   * help, like hubot-help or a scripts/help.js of the bot, so that help is
+   * not answered twice.
+   *
+   * Returns a Boolean of whether the core help script was unloaded.
+   */
+  unloadCoreHelp() {
+    let core = Path.join(__dirname, 'scripts', 'help');
+    let other = Object.keys(this.scripts).some(name => name !== core &&
+      (this.scripts[name].package === 'hubot-help' ||
+        this.scripts[name].file != null && Path.basename(name) === 'help'));
+    return other && this.unload(core);
+  }
+
   /**
    * Public: Load scripts specified in the `hubot-scripts.json` file.
    *
@@ -446,29 +865,204 @@ class Robot {
 
   /**
    * Public: Load scripts from packages specified in the
-   * `external-scripts.json` file.
+   * `external-scripts.json` file. Failures are handled by loadFailed.
    *
-   * @param {string[]} packages - An Array of packages containing hubot scripts to load.
+   * @param packages - An Array of packages containing hubot scripts to load,
+   *                   or an Object of the configuration passed to each
+   *                   package, keyed on package name.
    *
    * Returns nothing.
    */
   loadExternalScripts(packages) {
     this.logger.debug('Loading external-scripts from npm packages');
+    if (packages instanceof Array) {
+      for (let pkg of packages) {
+        this.loadPackageSafely(pkg);
+      }
+    } else {
+      for (let pkg of Object.keys(packages)) {
+        this.loadPackageSafely(pkg, packages[pkg]);
+      }
+    }
+  }
+
+  /**
+   * Public: Read the plugins listed in a YAML or JSON configuration file,
+   * such as `webby.config`. Its `plugins` are listed like in
+   * `external-scripts.json`: an Array of package names, or an Object of the
+   * configuration of each package. Throws if the file can't be parsed.
+   *
+   * @param {string} path - A String path to the file.
+   *
+   * Returns the plugins Array or Object, or null if the file doesn't exist
+   * or lists none.
+   */
+  readConfigFile(path) {
+    if (!Fs.existsSync(path)) {
+      return null;
+    }
+    let config = Yaml.safeLoad(Fs.readFileSync(path, 'utf-8'), {
+      filename: path
+    });
+    if (config == null || config.plugins == null) {
+      return null;
+    }
+    if (typeof config.plugins !== 'object') {
+      throw new Error(`Expected the plugins of ${path} to be a list or a map`);
+    }
+    return config.plugins;
+  }
+
+  /**
+   * Public: Merge lists of external scripts packages. When a package is
+   * configured more than once, the Object configurations are merged, the
+   * later ones taking precedence.
+   *
+   * @param {...*} lists - Arrays of package names, Objects of the
+   *                       configuration of each package, or null.
+   *
+   * Returns an Array if every list is one, an Object otherwise, or null
+   * without any list.
+   */
+  mergePackages(...lists) {
+    lists = lists.filter(list => list != null);
+    if (lists.length === 0) {
+      return null;
+    }
+    if (lists.every(list => list instanceof Array)) {
+      return lists.reduce((merged, list) => merged.concat(
+        list.filter(pkg => merged.indexOf(pkg) < 0)), []);
+    }
+    let merged = {};
+    let isObject = value => value != null && typeof value === 'object' &&
+      !(value instanceof Array);
+    for (let list of lists) {
+      let names = list instanceof Array ? list : Object.keys(list);
+      for (let pkg of names) {
+        let config = list instanceof Array ? undefined : list[pkg];
+        if (isObject(merged[pkg]) && isObject(config)) {
+          merged[pkg] = Object.assign({}, merged[pkg], config);
+        } else if (config !== undefined || !(pkg in merged)) {
+          merged[pkg] = config;
+        }
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Private: Run the scripts of an npm package and parse the help of its main
+   * file. When the package exports a JSON `schema`, its configuration is
+   * validated against it first, filling in the defaults. Throws if the
+   * package fails to load or its configuration is invalid.
+   *
+   * @param {string} pkg    - A String name of the package.
+   * @param {object} config - The configuration passed to the package
+   *                           (optional).
+   *
+   * Returns nothing.
+   */
+  loadPackage(pkg, config) {
+    let source = {package: pkg};
+    if (config !== undefined) {
+      source.config = config;
+    }
+    this.track(pkg, source, () => {
+      let script = require(pkg);
+      if (script.schema) {
+        config = this.validateConfig(pkg, script.schema, config);
+      }
+      script(this, config);
+      this.parseHelp(require.resolve(pkg), script, pkg);
+    });
+  }
+
+  /**
+   * Private: Validate the configuration of a package against a JSON schema.
+   *
+   * @param {string} pkg    - A String name of the package.
+   * @param {object} schema - The JSON schema Object.
+   * @param config          - The configuration, an empty Object if undefined.
+   *
+   * Returns a copy of the configuration with the defaults of the schema.
+   */
+  validateConfig(pkg, schema, config = {}) {
+    let value = JSON.parse(JSON.stringify(config));
+    let ajv = new Ajv({allErrors: true, useDefaults: true});
+    if (!ajv.validate(schema, value)) {
+      throw new Error(`Invalid configuration of ${pkg}: ` +
+        ajv.errorsText(ajv.errors, {dataVar: 'config'}));
+    }
+    return value;
+  }
+
+  /**
+   * Private: Load an npm package, handling failures with loadFailed.
+   *
+   * Returns nothing.
+   */
+  loadPackageSafely(pkg, config) {
     try {
-      if (packages instanceof Array) {
-        for (let pkg of packages) {
-          require(pkg)(this);
+      this.loadPackage(pkg, config);
+    } catch (error) {
+      this.loadFailed(pkg, {package: pkg, config: config}, error);
+    }
+  }
+
+  /**
+   * Public: The packages of an `external-scripts.json` list which can't be
+   * resolved, and so would fail to load.
+   *
+   * @param packages - An Array of package names, or an Object keyed on them.
+   *
+   * Returns an Array of package name Strings.
+   */
+  unresolvedPackages(packages) {
+    let names = packages instanceof Array ? packages : Object.keys(packages);
+    return names.filter((pkg) => {
+      try {
+        require.resolve(pkg);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+  }
+
+  /**
+   * Public: The environment variables loaded scripts declare in the
+   * Configuration section of their documentation but which are not set or
+   * are empty. A declaration is a line starting with the variable name, like
+   * `HUBOT_DEPLOY_TOKEN - The API token`; lines mentioning "optional" are
+   * left out.
+   *
+   * @param {object} env - The Object of environment variables (defaults to
+   *                        process.env).
+   *
+   * Returns an Object keyed on script name, of Objects with the `missing`
+   * and `empty` Arrays of variable names.
+   */
+  missingConfiguration(env = process.env) {
+    let report = {};
+    for (let name of Object.keys(this.documentation)) {
+      let missing = [];
+      let empty = [];
+      for (let line of this.documentation[name].configuration || []) {
+        let match = line.match(WEBBY_CONFIGURATION_VARIABLE);
+        if (!match || /\boptional\b/i.test(line)) {
+          continue;
         }
-      } else {
-        for (let pkg of packages) {
-          require(pkg)(this, packages[pkg]);
+        if (env[match[1]] == null) {
+          missing.push(match[1]);
+        } else if (String(env[match[1]]).trim() === '') {
+          empty.push(match[1]);
         }
       }
-    } catch(error) {
-      this.logger.error(
-        `Error loading scripts from npm package - ${error.stack}`);
-      process.exit(1);
+      if (missing.length || empty.length) {
+        report[name] = {missing: missing, empty: empty};
+      }
     }
+    return report;
   }
 
   /**
@@ -488,6 +1082,29 @@ class Robot {
     }
   }
 
+  /**
+   * Public: Load the storage driver persisting the robot's brain. Built-in
+   * drivers live in src/brains, anything else is required as an npm package.
+   * Either way the module has to export a `use(robot, options)` function
+   * returning the driver.
+   *
+   * @param {string} name    - A String of the driver name or package.
+   * @param {object} options - An Object of driver specific options.
+   *
+   * Returns nothing.
+   */
+  loadBrain(name, options = {}) {
+    this.logger.debug(`Loading brain ${name}`);
+    try {
+      let path = WEBBY_DEFAULT_BRAINS.indexOf(name) >= 0 ?
+        Path.join(__dirname, 'brains', name) : name;
+      this.brain.setDriver(require(path).use(this, options));
+    } catch (error) {
+      this.logger.error(`Cannot load brain ${name} - ${error}`);
+      process.exit(1);
+    }
+  }
+
   /**
    * Public: Help Commands for Running Scripts.
    *
@@ -498,24 +1115,62 @@ class Robot {
   }
 
   /**
-   * Private: load help info from a loaded script.
+   * Public: Search the help commands. A command matches when the query is
+   * part of it or of the description of the script defining it. The `hubot`
+   * token is replaced with the robot's alias or name.
+   *
+   * @param {string} query - A String to search for (optional, every command
+   *                          matches without one).
+   *
+   * Returns an Array of help command Strings.
+   */
+  help(query) {
+    let commands = this.helpCommands();
+    if (query) {
+      let search = query.toLowerCase();
+      let matches = (text) => text.toLowerCase().indexOf(search) >= 0;
+      let described = [];
+      for (let name of Object.keys(this.documentation)) {
+        let doc = this.documentation[name];
+        if ((doc.description || []).some(matches)) {
+          described.push(...doc.commands || []);
+        }
+      }
+      commands = commands.filter(command =>
+        matches(command) || described.indexOf(command) >= 0);
+    }
+    let name = this.alias || this.name;
+    return commands.map(command => command.replace(/\bhubot\b/gi, name));
+  }
+
+  /**
+   * Private: load help info from a loaded script, from the comments heading
+   * its file and the `meta` and `help` Objects it exports. Their sections are
+   * kept in `documentation`, keyed on the script name like `scripts`, and
+   * their commands added to the help commands. `help` may also be just the Array of
+   * commands.
    *
-   * @param {string} path - A String path to the file on disk.
+   * @param {string} path   - A String path to the file on disk (optional).
+   * @param script          - The module exported by the script (optional).
+   * @param {string} name   - A String name of the script (defaults to the
+   *                           path without extension).
    *
    * Returns nothing.
    */
-  parseHelp(path) {
-    this.logger.debug(`Parsing help for ${path}`);
-    let scriptName = Path.basename(path).replace(/\.(coffee|js)$/, '');
+  parseHelp(path, script = null, name = null) {
+    this.logger.debug(`Parsing help for ${path || name}`);
+    let scriptName = name || Path.join(Path.dirname(path),
+      Path.basename(path, Path.extname(path)));
     let scriptDocumentation = {};
-    let body = Fs.readFileSync(path, 'utf-8');
-    let line, cleanedLine, currentSection, nextSection;
-    let ref = body.split('\n');
-    for (let line of ref) {
-      if (!(line[0] === '#' || line.substr(0, 2) === '//')) {
-        break;
-      }
-      cleanedLine = line.replace(/^(#|\/\/)\s?/, '').trim();
+    let add = (section, line) => {
+      let lines = scriptDocumentation[section] =
+        scriptDocumentation[section] || [];
+      lines.indexOf(line) < 0 && lines.push(line);
+    };
+    let currentSection, nextSection;
+    let body = path ? Fs.readFileSync(path, 'utf-8') : '';
+    for (let line of headerComments(body)) {
+      let cleanedLine = line.trim();
       if (cleanedLine.length === 0) {
         continue;
       }
@@ -526,15 +1181,25 @@ class Robot {
       if (WEBBY_DOCUMENTATION_SECTIONS.indexOf(nextSection) >= 0) {
         currentSection = nextSection;
         scriptDocumentation[currentSection] = [];
-      } else {
-        if (currentSection) {
-          scriptDocumentation[currentSection].push(cleanedLine.trim());
-          if (currentSection === 'commands') {
-            this.commands.push(cleanedLine.trim());
-          }
+      } else if (currentSection) {
+        add(currentSection, cleanedLine);
+      }
+    }
+    for (let meta of [script && script.meta, script && script.help]) {
+      if (Array.isArray(meta) || typeof meta === 'string') {
+        meta = {commands: meta};
+      }
+      for (let section of Object.keys(meta || {})) {
+        let key = section.toLowerCase();
+        if (WEBBY_DOCUMENTATION_SECTIONS.indexOf(key) >= 0) {
+          [].concat(meta[section]).forEach(line => add(key, String(line)));
         }
       }
     }
+    if (Object.keys(scriptDocumentation).length) {
+      this.documentation[scriptName] = scriptDocumentation;
+      this.commands.push(...scriptDocumentation.commands || []);
+    }
   }
 
   /**
@@ -604,13 +1269,20 @@ class Robot {
   }
 
   /**
-   * Public: Kick off the event loop for the adapter
+   * Public: Kick off the event loop for the adapter once the brain has loaded
+   * its stored data.
    *
    * Returns nothing.
    */
   run() {
-    this.emit('running');
-    this.adapter.run();
+    this.brain.load((err) => {
+      if (err) {
+        this.logger.error(`Unable to load the brain - ${err.stack || err}`);
+        process.exit(1);
+      }
+      this.emit('running');
+      this.adapter.run();
+    });
   }
 
   /**
@@ -623,6 +1295,8 @@ class Robot {
       clearInterval(this.pingIntervalId);
     }
     process.removeListener('uncaughtException', this.onUncaughtException);
+    this.conversations.close();
+    this.scheduler.close();
     this.adapter.close();
     this.brain.close();
   }
@@ -0,0 +1,272 @@
+import CronPattern from './cron';
+
+// setTimeout can't wait longer than this many milliseconds
+const SCHEDULER_MAX_DELAY = 0x7fffffff;
+
+class Scheduler {
+  /**
+   * Runs jobs at a date or on a cron pattern. Jobs sending a message or
+   * calling a handler defined by name are kept in the brain and scheduled
+   * again once the robot runs with its brain loaded; jobs calling a Function
+   * last until the robot shuts down. WEBBY_TIMEZONE sets the default timezone
+   * of cron patterns.
+   *
+   * @param {object} robot - A Robot instance.
+   */
+  constructor(robot) {
+    this.robot = robot;
+    this.jobs = {};
+    this.handlers = {};
+    this.counter = 0;
+    this.timezone = process.env.WEBBY_TIMEZONE || null;
+    this.restored = false;
+    robot.on('running', () => this.restored || this.restore());
+  }
+
+  /**
+   * Private: The brain namespace keeping the persisted jobs. It is created
+   * along with the first job stored.
+   *
+   * Returns a Namespace.
+   */
+  store() {
+    return this.robot.brain.namespace('scheduler', null);
+  }
+
+  /**
+   * Private: Whether the brain keeps persisted jobs, without creating their
+   * namespace.
+   *
+   * Returns a Boolean.
+   */
+  hasStore() {
+    let namespaces = this.robot.brain.data._namespaces;
+    return namespaces != null && namespaces.scheduler != null;
+  }
+
+  /**
+   * Public: Define a named handler that persisted jobs can call. Jobs which
+   * came due while it was not defined yet, like the jobs restored before the
+   * scripts load, run now.
+   *
+   * @param {string} name - A String name of the handler.
+   * @param callback      - A Function called with the robot and the job.
+   *
+   * Returns nothing.
+   */
+  define(name, callback) {
+    this.handlers[name] = callback;
+    for (let job of this.list()) {
+      if (job.waiting && job.handler === name) {
+        job.waiting = false;
+        job.pattern || this.run(job);
+      }
+    }
+  }
+
+  /**
+   * Public: Schedule a job. Scheduling a job with the id of another replaces
+   * it.
+   *
+   * @param when     - A cron pattern String (see CronPattern), or a Date or
+   *                   Number timestamp to run once.
+   * @param {string} room - The String room the job is about.
+   * @param action   - A String message to send to the room, an Object with
+   *                   the `handler` name and `data` to pass it, or a
+   *                   Function called with the robot and the job.
+   * @param {object} options - An optional Object with the job `id` and the
+   *                            `timezone` of a cron pattern.
+   *
+   * Returns the job Object.
+   */
+  schedule(when, room, action, options = {}) {
+    let job = {
+      id: options.id != null ? String(options.id) :
+        `${Date.now().toString(36)}${(this.counter++).toString(36)}`,
+      room: room,
+      timezone: options.timezone || this.timezone,
+      owner: this.robot.currentScript || null
+    };
+    if (typeof when === 'string') {
+      job.cron = when;
+      job.pattern = new CronPattern(when, job.timezone);
+    } else {
+      job.at = when instanceof Date ? when.getTime() : Number(when);
+      if (isNaN(job.at)) {
+        throw new Error(`Invalid date ${when} for job ${job.id}`);
+      }
+    }
+    if (typeof action === 'function') {
+      job.callback = action;
+    } else if (typeof action === 'string') {
+      job.message = action;
+    } else if (action && action.handler) {
+      job.handler = action.handler;
+      job.data = action.data != null ? action.data : null;
+    } else {
+      throw new Error(`Missing an action for job ${job.id}`);
+    }
+    this.cancel(job.id);
+    this.jobs[job.id] = job;
+    if (!job.callback) {
+      this.store().set(job.id, this.serialize(job));
+    }
+    this.arm(job);
+    return job;
+  }
+
+  /**
+   * Private: The persisted form of a job.
+   *
+   * Returns an Object.
+   */
+  serialize(job) {
+    let stored = {room: job.room, timezone: job.timezone};
+    for (let key of ['cron', 'at', 'message', 'handler', 'data']) {
+      if (job[key] != null) {
+        stored[key] = job[key];
+      }
+    }
+    return stored;
+  }
+
+  /**
+   * Private: Schedule the jobs kept in the brain which are not running yet.
+   * This only happens once, and never after the scheduler is closed.
+   *
+   * Returns nothing.
+   */
+  restore() {
+    this.restored = true;
+    if (!this.hasStore()) {
+      return;
+    }
+    let store = this.store();
+    for (let id of store.keys()) {
+      if (this.jobs[id]) {
+        continue;
+      }
+      let stored = store.get(id);
+      let action = stored.message != null ? stored.message :
+        {handler: stored.handler, data: stored.data};
+      try {
+        this.schedule(stored.cron || stored.at, stored.room, action, {
+          id: id,
+          timezone: stored.timezone
+        });
+      } catch (error) {
+        this.robot.logger.error(`Unable to restore job ${id}: ${error}`);
+      }
+    }
+  }
+
+  /**
+   * Private: Set the timer of the next run of a job.
+   *
+   * Returns nothing.
+   */
+  arm(job) {
+    job.next = job.pattern ? job.pattern.next() : job.at;
+    if (job.next == null) {
+      this.robot.logger.warning(`Job ${job.id} will never run`);
+      return;
+    }
+    let delay = Math.max(0, job.next - Date.now());
+    job.timer = setTimeout(() => {
+      if (delay > SCHEDULER_MAX_DELAY) {
+        return this.arm(job);
+      }
+      this.run(job);
+    }, Math.min(delay, SCHEDULER_MAX_DELAY));
+  }
+
+  /**
+   * Public: Run a job now, then schedule its next run or remove it if it
+   * only ran once. Errors are emitted on the robot. A job calling a handler
+   * which is not defined yet waits for it, and a job which only runs once
+   * stays scheduled until then.
+   *
+   * @param {object} job - A job Object.
+   *
+   * Returns nothing.
+   */
+  run(job) {
+    if (job.handler && !this.handlers[job.handler]) {
+      this.robot.logger.warning(
+        `Job ${job.id} waits for its handler ${job.handler} to be defined`);
+      job.waiting = true;
+      job.pattern && this.arm(job);
+      return;
+    }
+    this.robot.logger.debug(`Running job ${job.id}`);
+    if (job.pattern) {
+      this.arm(job);
+    } else {
+      this.cancel(job.id);
+    }
+    try {
+      let result;
+      if (job.message != null) {
+        this.robot.messageRoom(job.room, job.message);
+      } else if (job.handler) {
+        result = this.handlers[job.handler](this.robot, job);
+      } else {
+        result = job.callback(this.robot, job);
+      }
+      if (result && typeof result.then === 'function') {
+        result.then(null, err => this.robot.emit('error', err));
+      }
+    } catch (error) {
+      this.robot.emit('error', error);
+    }
+  }
+
+  /**
+   * Public: Cancel a job and forget it.
+   *
+   * @param {string} id - The String id of the job.
+   *
+   * Returns a Boolean of whether the job existed.
+   */
+  cancel(id) {
+    let job = this.jobs[id];
+    if (job) {
+      clearTimeout(job.timer);
+      delete this.jobs[id];
+    }
+    let stored = this.hasStore() && this.store().has(id);
+    if (stored) {
+      this.store().remove(id);
+    }
+    return job != null || stored;
+  }
+
+  /**
+   * Public: List the scheduled jobs, next to run first.
+   *
+   * @param {string} room - A String room to only list its jobs (optional).
+   *
+   * Returns an Array of job Objects.
+   */
+  list(room) {
+    return Object.keys(this.jobs).map(id => this.jobs[id])
+      .filter(job => room == null || job.room === room)
+      .sort((a, b) => (a.next || Infinity) - (b.next || Infinity));
+  }
+
+  /**
+   * Public: Stop the timers of every job. Persisted jobs are scheduled again
+   * by the next robot to run.
+   *
+   * Returns nothing.
+   */
+  close() {
+    this.restored = true;
+    for (let id of Object.keys(this.jobs)) {
+      clearTimeout(this.jobs[id].timer);
+    }
+    this.jobs = {};
+  }
+}
+
+export default Scheduler;
@@ -0,0 +1,19 @@
+// Description:
+//   Show the commands the robot understands.
+//
+// Commands:
+//   hubot help - List every command
+//   hubot help <query> - List the commands matching the query
+
+module.exports = (robot) => {
+  robot.respond(/help(?:\s+(.*))?$/i, {id: 'help'}, (res) => {
+    let query = res.match[1] && res.match[1].trim();
+    let commands = robot.help(query);
+    if (commands.length === 0) {
+      res.send(query ? `No available commands match ${query}.` :
+        'No available commands.');
+    } else {
+      res.send(commands.join('\n'));
+    }
+  });
+};
@@ -0,0 +1,21 @@
+// Description:
+//   Show the order in which messages are dispatched to listeners.
+//
+// Commands:
+//   hubot show listeners - List the listeners in dispatch order (admin only)
+
+module.exports = (robot) => {
+  robot.respond(/show listeners$/i, {
+    id: 'listeners.show',
+    roles: 'admin'
+  }, (res) => {
+    let lines = robot.listenerReport().map((entry) => {
+      let flags = [`priority ${entry.priority}`];
+      entry.fallthrough || flags.push('no fallthrough');
+      entry.owner && flags.push(`from ${entry.owner}`);
+      return `${entry.position}. ${entry.id || entry.matcher || '(custom)'} ` +
+        `[${flags.join(', ')}]`;
+    });
+    res.send(lines.join('\n'));
+  });
+};
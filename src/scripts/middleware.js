@@ -0,0 +1,28 @@
+// Description:
+//   Show the middleware stacks of the robot.
+//
+// Commands:
+//   hubot show middleware - List the listener, response and receive middleware in execution order (admin only)
+
+module.exports = (robot) => {
+  robot.respond(/show middlewares?$/i, {
+    id: 'middleware.show',
+    roles: 'admin'
+  }, (res) => {
+    let lines = [];
+    for (let kind of Object.keys(robot.middleware)) {
+      let entries = robot.middleware[kind].list().map((entry, index) => {
+        let name = entry.name || '(unnamed)';
+        let flags = [];
+        entry.priority && flags.push(`priority ${entry.priority}`);
+        entry.enabled || flags.push('disabled');
+        entry.owner && flags.push(`from ${entry.owner}`);
+        return `  ${index + 1}. ${name}` +
+          (flags.length ? ` [${flags.join(', ')}]` : '');
+      });
+      lines.push(`${kind}:` + (entries.length ? '' : ' none'));
+      lines = lines.concat(entries);
+    }
+    res.send(lines.join('\n'));
+  });
+};
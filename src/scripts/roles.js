@@ -0,0 +1,75 @@
+// Description:
+//   Manage the roles that listeners can require.
+//
+// Configuration:
+//   WEBBY_ADMINS - Comma separated ids of the admin users (optional)
+//   WEBBY_AUTH_DENIED_REPLY - The reply to users lacking a role (optional)
+//
+// Commands:
+//   hubot <user> has <role> role - Give a role to a user (admin only)
+//   hubot <user> doesn't have <role> role - Take a role from a user (admin only)
+//   hubot what roles does <user> have - List the roles of a user
+//   hubot who has <role> role - List the users having a role
+
+module.exports = (robot) => {
+  let findUser = (name) => {
+    let brain = robot.brain;
+    return brain.userForName(name) || brain.userForAlias(name) ||
+      brain.userForEmail(name);
+  };
+
+  // The name can't start with a space, so that the whitespace respond allows
+  // before the command doesn't get around the exclusion of "who has"
+  let change =
+    /(?!\s|who\s)@?(\S.*) (has|doesn'?t have|does not have) (\S+) role$/i;
+  robot.respond(change, {
+    id: 'roles.change',
+    roles: 'admin'
+  }, (res) => {
+    let name = res.match[1].trim();
+    let role = res.match[3].toLowerCase();
+    let user = findUser(name);
+    if (user == null) {
+      res.reply(`I don't know anyone named ${name}.`);
+    } else if (res.match[2].toLowerCase() === 'has') {
+      robot.auth.grant(user, role);
+      res.reply(`OK, ${user.name} has the ${role} role.`);
+    } else if (role === 'admin' &&
+      robot.auth.admins.indexOf(String(user.id)) >= 0) {
+      res.reply(`${user.name} is an admin through WEBBY_ADMINS.`);
+    } else {
+      robot.auth.revoke(user, role);
+      res.reply(`OK, ${user.name} doesn't have the ${role} role.`);
+    }
+  });
+
+  robot.respond(/what roles? do(es)? @?(.+) have\??$/i, {
+    id: 'roles.list'
+  }, (res) => {
+    let name = res.match[2].trim();
+    let user = name.toLowerCase() === 'i' ? res.message.user : findUser(name);
+    if (user == null) {
+      res.reply(`I don't know anyone named ${name}.`);
+      return;
+    }
+    let roles = robot.auth.userRoles(user);
+    if (roles.length === 0) {
+      res.reply(`${user.name} has no role.`);
+    } else {
+      res.reply(`${user.name} has the following roles: ${roles.join(', ')}.`);
+    }
+  });
+
+  robot.respond(/who has (the )?(\S+) role\??$/i, {
+    id: 'roles.users'
+  }, (res) => {
+    let role = res.match[2].toLowerCase();
+    let names = robot.auth.usersWithRole(role).map(user => user.name);
+    if (names.length === 0) {
+      res.reply(`Nobody has the ${role} role.`);
+    } else {
+      res.reply(`The following users have the ${role} role: ` +
+        `${names.join(', ')}.`);
+    }
+  });
+};
@@ -0,0 +1,54 @@
+// Description:
+//   List and cancel the scheduled jobs.
+//
+// Configuration:
+//   WEBBY_TIMEZONE - The default timezone of cron patterns (optional)
+//
+// Commands:
+//   hubot jobs - List the jobs scheduled for this room
+//   hubot all jobs - List every scheduled job (admin only)
+//   hubot cancel job <id> - Cancel a job of this room (any job for admins)
+
+module.exports = (robot) => {
+  let describe = (job) => {
+    let when = job.cron ?
+      `"${job.cron}"` + (job.timezone ? ` (${job.timezone})` : '') :
+      `at ${new Date(job.at).toISOString()}`;
+    let next = job.next != null ?
+      `, next ${new Date(job.next).toISOString()}` : '';
+    let action = job.message != null ? `says "${job.message}"` :
+      job.handler ? `runs ${job.handler}` : 'runs a script';
+    return `${job.id}: ${when} in ${job.room} ${action}${next}`;
+  };
+
+  let send = (res, jobs) => {
+    if (jobs.length === 0) {
+      res.send('No job is scheduled.');
+    } else {
+      res.send(jobs.map(describe).join('\n'));
+    }
+  };
+
+  robot.respond(/jobs$/i, {id: 'scheduler.list'}, (res) => {
+    send(res, robot.scheduler.list(res.message.room));
+  });
+
+  robot.respond(/all jobs$/i, {
+    id: 'scheduler.list-all',
+    roles: 'admin'
+  }, (res) => {
+    send(res, robot.scheduler.list());
+  });
+
+  robot.respond(/cancel job (\S+)$/i, {id: 'scheduler.cancel'}, (res) => {
+    let room = robot.auth.hasRole(res.message.user, 'admin') ?
+      null : res.message.room;
+    let job = robot.scheduler.list(room)
+      .filter(job => job.id === res.match[1])[0];
+    if (job && robot.scheduler.cancel(job.id)) {
+      res.reply(`OK, job ${res.match[1]} is cancelled.`);
+    } else {
+      res.reply(`There is no job ${res.match[1]}.`);
+    }
+  });
+};
@@ -0,0 +1,26 @@
+// Description:
+//   Show which scripts loaded and which failed to.
+//
+// Commands:
+//   hubot show scripts - List the loaded scripts and the errors of those which failed to load (admin only)
+
+let Path = require('path');
+
+module.exports = (robot) => {
+  // Script files are shown relative to the working directory
+  let display = name =>
+    Path.isAbsolute(name) ? Path.relative(process.cwd(), name) : name;
+
+  robot.respond(/show scripts$/i, {
+    id: 'scripts.show',
+    roles: 'admin'
+  }, (res) => {
+    let report = robot.scriptReport();
+    let lines = ['loaded:' + (report.loaded.length ? '' : ' none')];
+    lines = lines.concat(report.loaded.map(name => `  ${display(name)}`));
+    lines.push('failed:' + (report.failed.length ? '' : ' none'));
+    lines = lines.concat(report.failed.map(failure =>
+      `  ${display(failure.name)} - ${failure.error}`));
+    res.send(lines.join('\n'));
+  });
+};
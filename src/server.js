@@ -44,10 +44,18 @@ class ExpressRouter {
       app.use(this.rewriteXPowerBy(app, 'webby/' + robot.name));
     }
 
+    app.use(express.query());
+
+    // the admin routes check the admin credentials instead of the global
+    // ones, as a request can't carry both; the brain routes also parse their
+    // own, larger, bodies
+    this.setupBrain(robot, app);
+    this.setupMiddleware(robot, app);
+    this.setupScripts(robot, app);
+
     if (user && pass) {
       app.use(this.basicAuth(user, pass));
     }
-    app.use(express.query());
 
     // configure app to use bodyParser()
     // this will let us get the data from a POST via
@@ -64,6 +72,7 @@ class ExpressRouter {
     }
 
     this.setupHeroku(robot);
+    this.setupHelp(robot, app);
 
     try {
       robot.server = app.listen(port, address);
@@ -122,6 +131,127 @@ class ExpressRouter {
     };
   }
 
+  /**
+   * Basic auth middleware guarding the admin endpoints, using the
+   * WEBBY_ADMIN_USER and WEBBY_ADMIN_PASSWORD credentials.
+   *
+   * @returns {function} Express 4 middleware, or null if no admin credentials
+   *                     are configured.
+   */
+  adminAuth() {
+    let user = process.env.WEBBY_ADMIN_USER;
+    let pass = process.env.WEBBY_ADMIN_PASSWORD;
+    if (!user || !pass) {
+      return null;
+    }
+    return this.basicAuth(user, pass);
+  }
+
+  /**
+   * Export and import the brain data of the running bot. Only available when
+   * admin credentials are configured. The JSON body of an import may be up to
+   * WEBBY_BRAIN_LIMIT (50mb by default).
+   *
+   * GET /webby/brain[?redact=true] - returns the brain data as JSON
+   * PUT /webby/brain              - imports the JSON body into the brain
+   */
+  setupBrain(robot, app) {
+    let auth = this.adminAuth();
+    if (!auth) {
+      return;
+    }
+    let limit = process.env.WEBBY_BRAIN_LIMIT || '50mb';
+    let json = bodyParser.json({limit: limit});
+    app.get('/webby/brain', auth, (req, res) => {
+      let redact = req.query.redact === 'true' || req.query.redact === '1';
+      res.json(robot.brain.exportData({redact: redact}));
+    });
+    app.put('/webby/brain', auth, json, (req, res) => {
+      if (req.body == null || typeof req.body !== 'object' ||
+        Array.isArray(req.body)) {
+        return res.status(400).json({error: 'Expected a JSON object'});
+      }
+      robot.brain.importData(req.body);
+      res.json({ok: true});
+    });
+  }
+
+  /**
+   * Show the middleware stacks of the running bot, in execution order. Only
+   * available when admin credentials are configured.
+   *
+   * GET /webby/middleware - returns the listener, response and receive
+   *                         stacks as JSON
+   */
+  setupMiddleware(robot, app) {
+    let auth = this.adminAuth();
+    if (!auth) {
+      return;
+    }
+    app.get('/webby/middleware', auth, (req, res) => {
+      let stacks = {};
+      for (let kind of Object.keys(robot.middleware)) {
+        stacks[kind] = robot.middleware[kind].list();
+      }
+      res.json(stacks);
+    });
+  }
+
+  /**
+   * Show the scripts of the running bot which loaded and the ones which
+   * failed to. Only available when admin credentials are configured.
+   *
+   * GET /webby/scripts - returns the loaded script names and the name and
+   *                      error of each failed script as JSON
+   */
+  setupScripts(robot, app) {
+    let auth = this.adminAuth();
+    if (!auth) {
+      return;
+    }
+    app.get('/webby/scripts', auth, (req, res) => {
+      res.json(robot.scriptReport());
+    });
+  }
+
+  /**
+   * Show the help of the running bot, as HTML or as JSON depending on the
+   * Accept header.
+   *
+   * GET /webby/help[?q=query] - returns the commands matching the query and
+   *                            the documentation of each script
+   */
+  setupHelp(robot, app) {
+    let escape = text => String(text).replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    app.get('/webby/help', (req, res) => {
+      let name = robot.alias || robot.name;
+      let commands = robot.help(req.query.q);
+      res.format({
+        json: () => res.json({
+          name: name,
+          commands: commands,
+          scripts: robot.documentation
+        }),
+        html: () => {
+          let items = commands.map(command => `<li>${escape(command)}</li>`);
+          let docs = robot.documentation;
+          let scripts = Object.keys(docs).sort().map((script) => {
+            let description = docs[script].description || [];
+            return `<dt>${escape(script)}</dt>` +
+              `<dd>${escape(description.join(' '))}</dd>`;
+          });
+          res.send('<!DOCTYPE html>\n<html><head><meta charset="utf-8">' +
+            `<title>${escape(name)} help</title></head><body>` +
+            `<h1>${escape(name)} help</h1>` +
+            `<ul>${items.join('')}</ul>` +
+            `<h2>Scripts</h2><dl>${scripts.join('')}</dl>` +
+            '</body></html>');
+        }
+      });
+    });
+  }
+
   /**
    * keep bot alive if runtime environment is heroku
    */
@@ -1,6 +1,20 @@
+const USER_PROFILE_FIELDS = [
+  'displayName',
+  'realName',
+  'email',
+  'timezone',
+  'locale',
+  'avatar',
+  'source'
+];
+
 /**
  * Represents a participating user in the chat.
  *
+ * Profile attributes (displayName, realName, email, timezone, locale, avatar
+ * and source, the name of the adapter the user comes from) are kept as
+ * Strings. Scripts can keep per-user preferences in `prefs`.
+ *
  * @param {string} id      - A unique ID for the user.
  * @param {object} options - An optional Hash of key, value pairs for this user.
  */
@@ -9,10 +23,70 @@ class User {
     this.id = id;
     let ref = options || {};
     for (let key of Object.keys(ref)) {
-      this[key] = options[key];
+      this[key] = User.cast(key, options[key]);
     }
     this['name'] || (this['name'] = this.id.toString());
   }
+
+  /**
+   * Public: Coerce an attribute to its type, Strings for profile attributes.
+   *
+   * @param {string} key - A String of the attribute name.
+   * @param value        - The attribute value.
+   *
+   * Returns the typed value.
+   */
+  static cast(key, value) {
+    if (USER_PROFILE_FIELDS.indexOf(key) >= 0 && value != null) {
+      return String(value);
+    }
+    return value;
+  }
+
+  /**
+   * Public: The user's profile, with null for unknown attributes and the
+   * name as display name by default.
+   *
+   * Returns an Object.
+   */
+  profile() {
+    let profile = {id: this.id, name: this.name};
+    for (let field of USER_PROFILE_FIELDS) {
+      profile[field] = this[field] != null ? this[field] : null;
+    }
+    profile.displayName = profile.displayName || this.name;
+    return profile;
+  }
+
+  /**
+   * Public: Get a preference of this user.
+   *
+   * @param {string} key - A String of the preference name.
+   *
+   * Returns the value, or null if not set.
+   */
+  pref(key) {
+    let prefs = this.prefs || {};
+    return prefs[key] != null ? prefs[key] : null;
+  }
+
+  /**
+   * Public: Set a preference of this user. Use Brain#setUserPref to have the
+   * brain save the change.
+   *
+   * @param {string} key - A String of the preference name.
+   * @param value        - The value, or null to remove the preference.
+   *
+   * Returns nothing.
+   */
+  setPref(key, value) {
+    this.prefs || (this.prefs = {});
+    if (value == null) {
+      delete this.prefs[key];
+    } else {
+      this.prefs[key] = value;
+    }
+  }
 }
 
 export default User;
@@ -0,0 +1,188 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as sinon from 'sinon';
+import * as chai from 'chai';
+import sinonChai from 'sinon-chai';
+chai.use(sinonChai);
+let expect = chai.expect;
+import * as mockery from 'mockery';
+
+// bot classes
+import Robot from '../src/robot';
+import {TextMessage} from '../src/message';
+import Adapter from '../src/adapter';
+import roles from '../src/scripts/roles';
+
+// Preload the Hubot mock adapter but substitute in the latest version of Adapter
+mockery.enable();
+mockery.registerAllowable('hubot-mockadapter');
+mockery.registerMock('webbybot/src/adapter', Adapter);
+import 'hubot-mockadapter';
+mockery.deregisterMock('webbybot/src/adapter');
+mockery.disable();
+
+describe('Auth', function() {
+  beforeEach(function() {
+    process.env.WEBBY_ADMINS = '1, 9';
+    this.robot = new Robot(null, 'mockadapter', false, 'TestHubot');
+    delete process.env.WEBBY_ADMINS;
+    this.robot.run();
+    this.admin = this.robot.brain.userForId('1', {name: 'boss'});
+    this.user = this.robot.brain.userForId('2', {name: 'guy'});
+    this.auth = this.robot.auth;
+    this.robot.adapter.reply = sinon.spy();
+    this.say = (user, text, callback) => {
+      this.robot.receive(new TextMessage(user, text), callback);
+    };
+  });
+
+  afterEach(function() {
+    this.robot.shutdown();
+  });
+
+  describe('Unit Tests', function() {
+    describe('#userRoles', function() {
+      it('includes the admin role of bootstrap admins', function() {
+        expect(this.auth.admins).to.deep.equal(['1', '9']);
+        expect(this.auth.userRoles(this.admin)).to.deep.equal(['admin']);
+        expect(this.auth.userRoles(this.user)).to.deep.equal([]);
+      });
+    });
+
+    describe('#grant', function() {
+      it('stores the role on the user in the brain', function() {
+        sinon.spy(this.robot.brain, 'markDirty');
+        this.auth.grant({id: '2'}, 'deployer');
+        this.auth.grant(this.user, 'deployer');
+        expect(this.user.roles).to.deep.equal(['deployer']);
+        expect(this.auth.hasRole(this.user, 'deployer')).to.be['true'];
+        expect(this.robot.brain.markDirty).to.have.been
+          .calledOnce.calledWith('users', '2');
+      });
+    });
+
+    describe('#revoke', function() {
+      it('removes the role from the user', function() {
+        this.auth.grant(this.user, 'deployer');
+        this.auth.revoke(this.user, 'deployer');
+        expect(this.auth.hasRole(this.user, 'deployer')).to.be['false'];
+      });
+
+      it('keeps the admin role of bootstrap admins', function() {
+        this.auth.revoke(this.admin, 'admin');
+        expect(this.auth.hasRole(this.admin, 'admin')).to.be['true'];
+      });
+    });
+
+    describe('#usersWithRole', function() {
+      it('lists the users having the role', function() {
+        this.auth.grant(this.user, 'admin');
+        expect(this.auth.usersWithRole('admin')).to.deep
+          .equal([this.admin, this.user]);
+      });
+    });
+  });
+
+  describe('Listener middleware', function() {
+    beforeEach(function() {
+      this.callback = sinon.spy();
+      this.robot.hear(/deploy/, {roles: ['deployer', 'admin']}, this.callback);
+    });
+
+    it('runs the listener for users having a role', function(done) {
+      this.say(this.admin, 'deploy', () => {
+        expect(this.callback).to.have.been.calledOnce;
+        expect(this.robot.adapter.reply).to.not.have.been.called;
+        done();
+      });
+    });
+
+    it('denies other users with a reply', function(done) {
+      let denied = sinon.spy();
+      this.robot.on('auth-denied', denied);
+      this.say(this.user, 'deploy', () => {
+        expect(this.callback).to.not.have.been.called;
+        expect(denied).to.have.been.calledWith(sinon.match.any,
+          ['deployer', 'admin']);
+        expect(this.robot.adapter.reply).to.have.been.calledWith(
+          sinon.match.any,
+          'Sorry, only users with the deployer or admin role can do that.');
+        done();
+      });
+    });
+
+    it('uses the denial reply of the listener', function(done) {
+      this.robot.hear(/secret/, {roles: 'admin', deniedReply: ''},
+        this.callback);
+      this.say(this.user, 'secret', () => {
+        expect(this.callback).to.not.have.been.called;
+        expect(this.robot.adapter.reply).to.not.have.been.called;
+        done();
+      });
+    });
+
+    it('ignores listeners without roles', function(done) {
+      let open = sinon.spy();
+      this.robot.hear(/hello/, open);
+      this.say(this.user, 'hello', () => {
+        expect(open).to.have.been.calledOnce;
+        done();
+      });
+    });
+  });
+
+  describe('roles script', function() {
+    beforeEach(function() {
+      roles(this.robot);
+    });
+
+    it('lets admins grant roles', function(done) {
+      this.say(this.admin, 'TestHubot guy has deployer role', () => {
+        expect(this.auth.hasRole(this.user, 'deployer')).to.be['true'];
+        expect(this.robot.adapter.reply).to.have.been.calledWith(
+          sinon.match.any, 'OK, guy has the deployer role.');
+        done();
+      });
+    });
+
+    it('lets admins revoke roles', function(done) {
+      this.auth.grant(this.user, 'deployer');
+      this.say(this.admin, 'TestHubot guy doesn\'t have deployer role', () => {
+        expect(this.auth.hasRole(this.user, 'deployer')).to.be['false'];
+        done();
+      });
+    });
+
+    it('denies other users changing roles', function(done) {
+      this.say(this.user, 'TestHubot guy has admin role', () => {
+        expect(this.auth.hasRole(this.user, 'admin')).to.be['false'];
+        done();
+      });
+    });
+
+    it('lists the roles of a user', function(done) {
+      this.auth.grant(this.user, 'deployer');
+      this.say(this.user, 'TestHubot what roles do I have?', () => {
+        expect(this.robot.adapter.reply).to.have.been.calledWith(
+          sinon.match.any, 'guy has the following roles: deployer.');
+        done();
+      });
+    });
+
+    it('lists the users having a role', function(done) {
+      this.say(this.user, 'TestHubot who has admin role', () => {
+        expect(this.robot.adapter.reply).to.have.been.calledOnce.calledWith(
+          sinon.match.any, 'The following users have the admin role: boss.');
+        done();
+      });
+    });
+
+    it('does not take who has for a role change of admins', function(done) {
+      this.say(this.admin, 'TestHubot who has admin role', () => {
+        expect(this.robot.adapter.reply).to.have.been.calledOnce.calledWith(
+          sinon.match.any, 'The following users have the admin role: boss.');
+        done();
+      });
+    });
+  });
+});
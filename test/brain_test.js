@@ -50,6 +50,47 @@ describe('Brain', function() {
         });
       });
 
+      it('overwrites nested structures by default', function() {
+        this.brain.data.settings = {a: {b: 1, c: 1}};
+        this.brain.mergeData({settings: {a: {c: 2}}});
+        expect(this.brain.data.settings).to.deep.equal({a: {c: 2}});
+      });
+
+      it('deeply merges nested structures with the deep strategy',
+      function() {
+        this.brain.setMergeStrategy('deep');
+        let settings = this.brain.data.settings = {a: {b: 1, c: 1}, d: [1]};
+        this.brain.mergeData({settings: {a: {c: 2}, d: [2]}});
+        expect(this.brain.data.settings).to.equal(settings);
+        expect(settings).to.deep.equal({a: {b: 1, c: 2}, d: [2]});
+      });
+
+      it('merges with a custom strategy function', function() {
+        this.brain.data.count = 1;
+        this.brain.setMergeStrategy((current, loaded, key) =>
+          key === 'count' ? current + loaded : loaded);
+        this.brain.mergeData({count: 2});
+        expect(this.brain.data.count).to.equal(3);
+      });
+
+      it('rejects unknown strategies', function() {
+        expect(() => this.brain.setMergeStrategy('shallow')).to.throw(Error);
+      });
+
+      it('keeps users created before the data is loaded', function() {
+        this.brain.mergeData({users: {
+          1: {id: '1', name: 'Stored One', roles: ['admin']},
+          5: {id: '5', name: 'Guy Five'}
+        }});
+        let users = this.brain.users();
+        expect(users['1']).to.equal(this.user1);
+        expect(users['1'].name).to.equal('Guy One');
+        expect(users['1'].roles).to.deep.equal(['admin']);
+        expect(users['2']).to.equal(this.user2);
+        expect(users['5']).to.be['instanceof'](User);
+        expect(users['5'].name).to.equal('Guy Five');
+      });
+
       it('emits a loaded event with the new data', function() {
         sinon.spy(this.brain, 'emit');
         this.brain.mergeData({});
@@ -58,7 +99,139 @@ describe('Brain', function() {
       });
     });
 
+    describe('#load', function() {
+      it('calls back right away without a driver', function() {
+        let callback = sinon.spy();
+        this.brain.load(callback);
+        expect(callback).to.have.been.calledOnce;
+      });
+
+      it('merges data from a promise based driver', function(done) {
+        sinon.spy(this.brain, 'emit');
+        this.brain.setDriver({
+          load: () => Promise.resolve({_private: {key: 'stored'}})
+        });
+        this.brain.load((err) => {
+          expect(err).to.not.exist;
+          expect(this.brain.get('key')).to.equal('stored');
+          expect(this.brain.emit).to.have.been
+            .calledWith('loaded', this.brain.data);
+          done();
+        });
+      });
+
+      it('merges data from a callback based driver', function(done) {
+        this.brain.setDriver({
+          load: (callback) => callback(null, {_private: {key: 'stored'}})
+        });
+        this.brain.load(() => {
+          expect(this.brain.get('key')).to.equal('stored');
+          done();
+        });
+      });
+
+      it('passes driver errors to the callback', function(done) {
+        let theError = new Error('unavailable');
+        this.brain.setDriver({
+          load: () => Promise.reject(theError)
+        });
+        this.brain.load((err) => {
+          expect(err).to.equal(theError);
+          done();
+        });
+      });
+    });
+
+    describe('#registerMigration', function() {
+      it('rejects invalid versions', function() {
+        expect(() => this.brain.registerMigration(0, () => {}))
+          .to.throw(Error);
+        expect(() => this.brain.registerMigration(1.5, () => {}))
+          .to.throw(Error);
+      });
+      it('rejects duplicated versions', function() {
+        this.brain.registerMigration(1, () => {});
+        expect(() => this.brain.registerMigration(1, () => {}))
+          .to.throw(Error);
+      });
+      it('migrates the data in memory once scripts are loaded', function() {
+        this.brain.data._private.count = '3';
+        this.brain.registerMigration(1, (data) => {
+          data._private.count = Number(data._private.count);
+        });
+        expect(this.brain.data._private.count).to.equal('3');
+        this.clock.tick(0);
+        expect(this.brain.data._private.count).to.equal(3);
+        expect(this.brain.data._version).to.equal(1);
+      });
+      it('migrates in version order whatever the registration order',
+      function() {
+        let ran = [];
+        this.brain.registerMigration(2, () => {
+          ran.push(2);
+        });
+        this.brain.registerMigration(1, () => {
+          ran.push(1);
+        });
+        this.clock.tick(0);
+        expect(ran).to.deep.equal([1, 2]);
+        expect(this.brain.data._version).to.equal(2);
+      });
+      it('does not migrate in dry-run mode', function() {
+        this.brain.migrationDryRun = true;
+        let migration = sinon.spy();
+        this.brain.registerMigration(1, migration);
+        this.clock.tick(0);
+        expect(migration).to.not.have.been.called;
+      });
+    });
+
+    describe('#migrate', function() {
+      beforeEach(function() {
+        this.brain.registerMigration(2, (data) => {
+          (data.order || (data.order = [])).push(2);
+        });
+        this.brain.registerMigration(1, (data) => ({order: [1]}));
+      });
+      it('runs pending migrations in version order', function() {
+        let report = this.brain.migrate({});
+        expect(report.from).to.equal(0);
+        expect(report.to).to.equal(2);
+        expect(report.applied).to.deep.equal([1, 2]);
+        expect(report.data).to.deep.equal({order: [1, 2], _version: 2});
+      });
+      it('skips migrations up to the data version', function() {
+        let report = this.brain.migrate({order: [], _version: 1});
+        expect(report.applied).to.deep.equal([2]);
+        expect(report.data.order).to.deep.equal([2]);
+      });
+      it('emits a migrated event', function() {
+        sinon.spy(this.brain, 'emit');
+        let report = this.brain.migrate({});
+        expect(this.brain.emit).to.have.been.calledWith('migrated', report);
+      });
+      it('leaves the data untouched in dry-run mode', function() {
+        let data = {order: [], _version: 1};
+        let report = this.brain.migrate(data, {dryRun: true});
+        expect(report.data.order).to.deep.equal([2]);
+        expect(data).to.deep.equal({order: [], _version: 1});
+      });
+      it('runs on merged data before emitting loaded', function() {
+        this.brain.on('loaded', (data) => {
+          expect(data.order).to.deep.equal([1, 2]);
+        });
+        this.brain.mergeData({order: ['stored']});
+        expect(this.brain.data._version).to.equal(2);
+      });
+    });
+
     describe('#save', function() {
+      it('passes the data to the driver', function() {
+        let driver = {save: sinon.spy()};
+        this.brain.setDriver(driver);
+        this.brain.save();
+        expect(driver.save).to.have.been.calledWith(this.brain.data);
+      });
       it('emits a save event', function() {
         sinon.spy(this.brain, 'emit');
         this.brain.save();
@@ -85,6 +258,15 @@ describe('Brain', function() {
     });
 
     describe('#close', function() {
+      it('closes the driver', function(done) {
+        let driver = {save: sinon.spy(), close: sinon.spy()};
+        this.brain.setDriver(driver);
+        this.brain.close(() => {
+          expect(driver.save).to.have.been.calledOnce;
+          expect(driver.close).to.have.been.calledOnce;
+          done();
+        });
+      });
       it('saves', function() {
         sinon.spy(this.brain, 'save');
         this.brain.close();
@@ -115,6 +297,50 @@ describe('Brain', function() {
       });
     });
 
+    describe('#exportData', function() {
+      it('returns a copy of the data', function() {
+        this.brain.set('token', 'abc');
+        let data = this.brain.exportData();
+        expect(data._private).to.deep.equal({token: 'abc'});
+        expect(data.users['1']).to.deep.equal({id: '1', name: 'Guy One'});
+        data._private.token = 'changed';
+        expect(this.brain.get('token')).to.equal('abc');
+      });
+      it('leaves out private keys when redacting', function() {
+        this.brain.set('token', 'abc');
+        expect(this.brain.exportData({redact: true}))
+          .to.not.have.key('_private');
+      });
+    });
+
+    describe('#importData', function() {
+      it('merges the data and saves', function() {
+        sinon.spy(this.brain, 'save');
+        this.brain.importData({karma: {alice: 1}});
+        expect(this.brain.data.karma).to.deep.equal({alice: 1});
+        expect(this.brain.save).to.have.been.calledOnce;
+      });
+      it('replaces the users in memory', function() {
+        this.user1.roles = ['admin'];
+        this.brain.importData({users: {
+          1: {id: '1', name: 'Guy Renamed', roles: []},
+          4: {id: '4', name: 'Guy Four'}
+        }});
+        expect(this.brain.userForId('1')).to.equal(this.user1);
+        expect(this.user1.name).to.equal('Guy Renamed');
+        expect(this.user1.roles).to.deep.equal([]);
+        expect(this.brain.userForName('Guy One')).to.be['null'];
+        expect(this.brain.userForId('2')).to.equal(this.user2);
+        expect(this.brain.userForId('4')).to.be.an.instanceof(User);
+      });
+      it('replaces the data whatever the merge strategy', function() {
+        this.brain.setMergeStrategy('deep');
+        this.brain.data.karma = {alice: 1, bob: 2};
+        this.brain.importData({karma: {alice: 3}});
+        expect(this.brain.data.karma).to.deep.equal({alice: 3});
+      });
+    });
+
     describe('#get', function() {
       it('returns the saved value', function() {
         this.brain.data._private['test-key'] = 'value';
@@ -169,6 +395,32 @@ describe('Brain', function() {
       });
     });
 
+    describe('#namespace', function() {
+      it('records the owner of a new namespace', function() {
+        this.brain.namespace('karma', 'scripts/karma');
+        this.brain.namespace('karma', 'scripts/other');
+        expect(this.brain.data._namespaces.karma.owner)
+          .to.equal('scripts/karma');
+      });
+      it('defaults the owner to the script being loaded', function() {
+        this.mockRobot.currentScript = 'scripts/karma';
+        this.brain.namespace('karma');
+        expect(this.brain.data._namespaces.karma.owner)
+          .to.equal('scripts/karma');
+      });
+    });
+
+    describe('#namespaces', function() {
+      it('lists namespaces with their owner and keys', function() {
+        this.brain.namespace('karma', 'scripts/karma').set('alice', 1);
+        this.brain.namespace('polls');
+        expect(this.brain.namespaces()).to.deep.equal([
+          {name: 'karma', owner: 'scripts/karma', keys: ['alice']},
+          {name: 'polls', owner: null, keys: []}
+        ]);
+      });
+    });
+
     describe('#userForId', function() {
       it('returns the user object', function() {
         expect(this.brain.userForId(1)).to.equal(this.user1);
@@ -177,17 +429,31 @@ describe('Brain', function() {
         let user4 = this.brain.userForId('FOUR');
         expect(this.brain.userForId('four')).to.not.equal(user4);
       });
-      it('recreates the user if the room option differs from the user object',
-      function() {
+      it('keeps the same user when the room option differs', function() {
         expect(this.brain.userForId(1).room).to.be.undefined;
-        let newUser1 = this.brain.userForId(1, {
+        this.user1.roles = ['admin'];
+        let sameUser1 = this.brain.userForId(1, {
           room: 'room1'
         });
-        expect(newUser1).to.not.equal(this.user1);
-        let newUser2 = this.brain.userForId(1, {
-          room: 'room2'
-        });
-        expect(newUser2).to.not.equal(newUser1);
+        expect(sameUser1).to.equal(this.user1);
+        expect(sameUser1.room).to.equal('room1');
+        expect(this.brain.userForId(1, {room: 'room2'})).to.equal(this.user1);
+        expect(this.user1.roles).to.deep.equal(['admin']);
+      });
+      it('merges the provided options into the existing user', function() {
+        this.user1.timezone = 'Europe/Paris';
+        this.brain.userForId('1', {name: 'Guy Renamed'});
+        expect(this.user1.name).to.equal('Guy Renamed');
+        expect(this.user1.timezone).to.equal('Europe/Paris');
+      });
+      it('records the rooms a user was seen in', function() {
+        this.clock.tick(1000);
+        this.brain.userForId('1', {room: 'room1'});
+        this.clock.tick(1000);
+        this.brain.userForId('1', {room: 'room2'});
+        this.brain.userForId('1', {room: 'room1'});
+        expect(this.user1.rooms).to.deep.equal(['room1', 'room2']);
+        expect(this.user1.lastSeen).to.deep.equal({room: 'room1', time: 2000});
       });
 
       describe('when there is no matching user ID', function() {
@@ -273,6 +539,114 @@ describe('Brain', function() {
     });
   });
 
+  describe('Dirty Tracking', function() {
+    beforeEach(function() {
+      this.brain.save();
+      this.changed = sinon.spy();
+      this.brain.on('changed', this.changed);
+    });
+
+    it('is clean after saving', function() {
+      expect(this.brain.dirty).to.equal(false);
+    });
+    it('tracks #set', function() {
+      this.brain.set('test-key', 'value');
+      expect(this.brain.dirty).to.equal(true);
+      expect(this.changed).to.have.been
+        .calledWith({section: '_private', key: 'test-key'});
+    });
+    it('tracks #remove of existing keys only', function() {
+      this.brain.remove('test-key');
+      expect(this.brain.dirty).to.equal(false);
+      this.brain.data._private['test-key'] = 'value';
+      this.brain.remove('test-key');
+      expect(this.changed).to.have.been
+        .calledWith({section: '_private', key: 'test-key'});
+    });
+    it('tracks new users from #userForId', function() {
+      this.brain.userForId('1');
+      expect(this.brain.dirty).to.equal(false);
+      this.brain.userForId('4');
+      expect(this.changed).to.have.been
+        .calledWith({section: 'users', key: '4'});
+    });
+    it('reports #mergeData without flagging the loaded data', function() {
+      this.brain.mergeData({polls: {}});
+      expect(this.changed).to.have.been
+        .calledWith({section: 'polls', key: null});
+      expect(this.brain.dirty).to.equal(false);
+    });
+    it('tracks data migrated by #mergeData', function() {
+      this.brain.registerMigration(1, (data) => {
+        data.polls = {};
+      });
+      this.brain.mergeData({});
+      expect(this.brain.dirty).to.equal(true);
+    });
+    it('tracks #importData', function() {
+      sinon.stub(this.brain, 'save');
+      this.brain.importData({polls: {}});
+      expect(this.changed).to.have.been
+        .calledWith({section: 'polls', key: null});
+      expect(this.brain.dirty).to.equal(true);
+    });
+    it('tracks namespaces', function() {
+      this.brain.namespace('karma').increment('alice');
+      expect(this.changed).to.have.been
+        .calledWith({section: '_namespaces.karma', key: 'alice'});
+    });
+  });
+
+  describe('Save Policies', function() {
+    beforeEach(function() {
+      this.brain.save();
+      sinon.spy(this.brain, 'save');
+    });
+
+    it('rejects unknown policies', function() {
+      expect(() => this.brain.setSavePolicy('sometimes')).to.throw(Error);
+    });
+    it('only saves on interval when dirty by default', function() {
+      this.clock.tick(5000);
+      expect(this.brain.save).to.not.have.been.called;
+      this.brain.set('test-key', 'value');
+      this.clock.tick(5000);
+      expect(this.brain.save).to.have.been.calledOnce;
+    });
+    it('saves on every interval with the always policy', function() {
+      this.brain.setSavePolicy('always');
+      this.clock.tick(2 * 5000);
+      expect(this.brain.save).to.have.been.calledTwice;
+    });
+    it('saves after the last change with the debounce policy', function() {
+      this.brain.resetSaveInterval(60);
+      this.brain.setSavePolicy('debounce', {wait: 2, maxWait: 10});
+      this.brain.set('test-key', 1);
+      this.clock.tick(1000);
+      this.brain.set('test-key', 2);
+      this.clock.tick(1999);
+      expect(this.brain.save).to.not.have.been.called;
+      this.clock.tick(1);
+      expect(this.brain.save).to.have.been.calledOnce;
+    });
+    it('saves within maxWait with the debounce policy', function() {
+      this.brain.resetSaveInterval(60);
+      this.brain.setSavePolicy('debounce', {wait: 2, maxWait: 3});
+      for (let i = 0; i < 3; i++) {
+        this.brain.set('test-key', i);
+        this.clock.tick(1000);
+      }
+      expect(this.brain.save).to.have.been.calledOnce;
+    });
+    it('does not debounce when auto-save is off', function() {
+      this.brain.setAutoSave(false);
+      this.brain.setSavePolicy('debounce');
+      this.brain.set('test-key', 1);
+      this.clock.tick(10000);
+      expect(this.brain.save).to.not.have.been.called;
+    });
+  });
+
   describe('Auto-Save', function() {
     it('is on by default', function() {
       expect(this.brain.autoSave).to.equal(true);
@@ -0,0 +1,78 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as chai from 'chai';
+let expect = chai.expect;
+// bot classes
+import Command from '../src/command';
+
+describe('Command', function() {
+  beforeEach(function() {
+    this.command = new Command(
+      'deploy <app> [env] --force --retries=<integer>');
+  });
+
+  describe('#constructor', function() {
+    it('reads the name, arguments and flags', function() {
+      expect(this.command.name).to.equal('deploy');
+      expect(this.command.positionals.map(arg => arg.name))
+        .to.deep.equal(['app', 'env']);
+      expect(Object.keys(this.command.flags))
+        .to.deep.equal(['force', 'retries']);
+    });
+
+    it('rejects malformed usages', function() {
+      expect(() => new Command('<app>')).to.throw(/Missing a name/);
+      expect(() => new Command('deploy <app]')).to.throw(/Unbalanced/);
+      expect(() => new Command('deploy <app:date>')).to.throw(/Unknown/);
+      expect(() => new Command('deploy <app> now')).to.throw(/Unexpected/);
+    });
+  });
+
+  describe('#pattern', function() {
+    it('matches the command name and captures the arguments', function() {
+      let pattern = new Command('show build <id>').pattern();
+      expect('show  build 42'.match(pattern)[1]).to.equal('42');
+      expect('show build'.match(pattern)[1]).to.be.undefined;
+      expect('show buildings').to.not.match(pattern);
+    });
+  });
+
+  describe('#parse', function() {
+    it('parses positional arguments and flags', function() {
+      expect(this.command.parse('web staging --force --retries 3'))
+        .to.deep.equal({app: 'web', env: 'staging', force: true, retries: 3});
+    });
+
+    it('defaults missing optional arguments and flags', function() {
+      expect(this.command.parse('web')).to.deep.equal(
+        {app: 'web', env: null, force: false, retries: null});
+    });
+
+    it('keeps quoted values together', function() {
+      let command = new Command('say <room> <message...>');
+      expect(command.parse('"#dev ops" hello "big" world')).to.deep.equal(
+        {room: '#dev ops', message: 'hello big world'});
+    });
+
+    it('converts typed values', function() {
+      let command = new Command('scale <app> <factor:number>');
+      expect(command.parse('web 1.5')).to.deep.equal({app: 'web', factor: 1.5});
+      expect(() => command.parse('web lots'))
+        .to.throw('Invalid factor: expected a number, got lots');
+    });
+
+    it('rejects malformed arguments', function() {
+      expect(() => this.command.parse('')).to.throw('Missing <app>');
+      expect(() => this.command.parse('web prod extra'))
+        .to.throw('Unexpected extra');
+      expect(() => this.command.parse('web --now'))
+        .to.throw('Unknown flag --now');
+      expect(() => this.command.parse('web --force=yes'))
+        .to.throw('Flag --force takes no value');
+      expect(() => this.command.parse('web --retries'))
+        .to.throw('Missing a value for --retries');
+      expect(() => this.command.parse('web --retries=1.5'))
+        .to.throw('Invalid --retries: expected an integer, got 1.5');
+    });
+  });
+});
@@ -0,0 +1,181 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as sinon from 'sinon';
+import * as chai from 'chai';
+import sinonChai from 'sinon-chai';
+chai.use(sinonChai);
+let expect = chai.expect;
+import * as mockery from 'mockery';
+
+// bot classes
+import Robot from '../src/robot';
+import {TextMessage} from '../src/message';
+import Adapter from '../src/adapter';
+
+// Preload the Hubot mock adapter but substitute in the latest version of Adapter
+mockery.enable();
+mockery.registerAllowable('hubot-mockadapter');
+mockery.registerMock('webbybot/src/adapter', Adapter);
+import 'hubot-mockadapter';
+mockery.deregisterMock('webbybot/src/adapter');
+mockery.disable();
+
+describe('Conversations', function() {
+  beforeEach(function() {
+    this.robot = new Robot(null, 'mockadapter', false, 'TestHubot');
+    this.robot.run();
+    this.user = this.robot.brain.userForId('1', {name: 'guy', room: '#a'});
+    this.other = this.robot.brain.userForId('2', {name: 'gal', room: '#a'});
+    this.robot.adapter.reply = sinon.spy();
+    this.say = (user, text, callback) => {
+      this.robot.receive(new TextMessage(user, text), callback);
+    };
+  });
+
+  afterEach(function() {
+    this.robot.shutdown();
+  });
+
+  describe('#prompt', function() {
+    beforeEach(function() {
+      this.answer = null;
+      this.robot.respond(/deploy/, (res) => {
+        this.asked = res.prompt('Which environment?', this.options)
+          .then(answer => this.answer = answer && answer.match[1]);
+      });
+    });
+
+    it('resolves with the next message of the user', function(done) {
+      this.say(this.user, 'TestHubot deploy', () => {
+        expect(this.robot.adapter.reply).to.have.been.calledWith(
+          sinon.match.any, 'Which environment?');
+        this.say(this.user, 'staging', () => {
+          this.asked.then(() => {
+            expect(this.answer).to.equal('staging');
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('takes precedence over listeners', function(done) {
+      let heard = sinon.spy();
+      this.robot.hear(/staging/, heard);
+      this.say(this.user, 'TestHubot deploy', () => {
+        this.say(this.user, 'TestHubot staging', () => {
+          expect(heard).to.not.have.been.called;
+          this.say(this.user, 'staging', () => {
+            expect(heard).to.have.been.calledOnce;
+            done();
+          });
+        });
+      });
+    });
+
+    it('ignores other users', function(done) {
+      this.say(this.user, 'TestHubot deploy', () => {
+        this.say(this.other, 'production', () => {
+          expect(this.answer).to.be['null'];
+          expect(Object.keys(this.robot.conversations.pending))
+            .to.deep.equal(['1|#a']);
+          done();
+        });
+      });
+    });
+
+    it('is cancelled by a cancel word', function(done) {
+      this.say(this.user, 'TestHubot deploy', () => {
+        this.say(this.user, 'Nevermind', () => {
+          this.asked.then((answer) => {
+            expect(answer).to.be['null'];
+            expect(this.robot.adapter.reply).to.have.been.calledWith(
+              sinon.match.any, 'OK, never mind.');
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('times out', function(done) {
+      this.options = {timeout: 0.01, timeoutReply: 'Too slow.'};
+      this.say(this.user, 'TestHubot deploy', () => {
+        setTimeout(() => {
+          this.asked.then((answer) => {
+            expect(answer).to.be['null'];
+            expect(this.robot.adapter.reply).to.have.been.calledWith(
+              sinon.match.any, 'Too slow.');
+            expect(this.robot.conversations.pending).to.deep.equal({});
+            done();
+          }).catch(done);
+        }, 30);
+      });
+    });
+  });
+
+  describe('#dialog', function() {
+    beforeEach(function() {
+      this.deployed = sinon.spy();
+      this.robot.respond(/deploy/, (res) => {
+        this.result = res.dialog({
+          question: 'Where?',
+          choices: {
+            staging: answer => this.deployed('staging'),
+            production: {
+              question: 'Sure?',
+              choices: {
+                yes: answer => this.deployed('production'),
+                no: answer => 'aborted'
+              }
+            }
+          }
+        });
+      });
+    });
+
+    it('follows the branches of the answers', function(done) {
+      let steps = ['TestHubot deploy', 'production', 'maybe', 'yes'];
+      let next = () => {
+        if (steps.length) {
+          // Let the dialog ask its next question first
+          return setImmediate(() => this.say(this.user, steps.shift(), next));
+        }
+        this.result.then(() => {
+          expect(this.deployed).to.have.been.calledOnce
+            .calledWith('production');
+          expect(this.robot.adapter.reply).to.have.been.calledWith(
+            sinon.match.any, 'Please answer with one of: yes, no.');
+          done();
+        }).catch(done);
+      };
+      next();
+    });
+
+    it('resolves with null once cancelled', function(done) {
+      this.say(this.user, 'TestHubot deploy', () => {
+        this.say(this.user, 'stop', () => {
+          this.result.then((result) => {
+            expect(result).to.be['null'];
+            expect(this.deployed).to.not.have.been.called;
+            done();
+          }).catch(done);
+        });
+      });
+    });
+
+    it('resolves with the value of the last choice', function(done) {
+      let steps = ['TestHubot deploy', 'production', 'no'];
+      let next = () => {
+        if (steps.length) {
+          // Let the dialog ask its next question first
+          return setImmediate(() => this.say(this.user, steps.shift(), next));
+        }
+        this.result.then((result) => {
+          expect(result).to.equal('aborted');
+          expect(this.deployed).to.not.have.been.called;
+          done();
+        }).catch(done);
+      };
+      next();
+    });
+  });
+});
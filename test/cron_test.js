@@ -0,0 +1,59 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as chai from 'chai';
+let expect = chai.expect;
+// bot classes
+import CronPattern from '../src/cron';
+
+let next = (pattern, timezone, after) =>
+  new Date(new CronPattern(pattern, timezone).next(Date.parse(after)))
+    .toISOString();
+
+describe('CronPattern', function() {
+  describe('#constructor', function() {
+    it('rejects malformed patterns', function() {
+      expect(() => new CronPattern('* * *')).to.throw(/Expected 5 fields/);
+      expect(() => new CronPattern('61 * * * *')).to.throw(/Invalid minute/);
+      expect(() => new CronPattern('* * * foo *')).to.throw(/Invalid month/);
+      expect(() => new CronPattern('* * * * *', 'Mars/Olympus'))
+        .to.throw(/Unknown timezone/);
+    });
+  });
+
+  describe('#next', function() {
+    it('finds the next matching minute', function() {
+      expect(next('*/15 * * * *', 'UTC', '2026-01-01T00:07:30Z'))
+        .to.equal('2026-01-01T00:15:00.000Z');
+      expect(next('0 * * * *', 'UTC', '2026-01-01T00:00:00Z'))
+        .to.equal('2026-01-01T01:00:00.000Z');
+    });
+
+    it('understands ranges, lists and names', function() {
+      expect(next('0 9 * * mon-fri', 'UTC', '2026-01-03T10:00:00Z'))
+        .to.equal('2026-01-05T09:00:00.000Z');
+      expect(next('0 0 1 jan,jul *', 'UTC', '2026-02-01T00:00:00Z'))
+        .to.equal('2026-07-01T00:00:00.000Z');
+      expect(next('@weekly', 'UTC', '2026-01-01T00:00:00Z'))
+        .to.equal('2026-01-04T00:00:00.000Z');
+    });
+
+    it('matches either the day of month or the day of week', function() {
+      expect(next('0 0 13 * 5', 'UTC', '2026-01-01T00:00:00Z'))
+        .to.equal('2026-01-02T00:00:00.000Z');
+      expect(next('0 0 13 * 5', 'UTC', '2026-01-09T00:00:00Z'))
+        .to.equal('2026-01-13T00:00:00.000Z');
+    });
+
+    it('uses the timezone', function() {
+      expect(next('0 9 * * *', 'America/New_York', '2026-01-01T00:00:00Z'))
+        .to.equal('2026-01-01T14:00:00.000Z');
+    });
+
+    it('follows daylight saving time changes', function() {
+      expect(next('30 1 * * *', 'Europe/Paris', '2026-03-28T12:00:00Z'))
+        .to.equal('2026-03-29T00:30:00.000Z');
+      expect(next('0 0 * * mon', 'Europe/Paris', '2026-03-29T00:00:00Z'))
+        .to.equal('2026-03-29T22:00:00.000Z');
+    });
+  });
+});
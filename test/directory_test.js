@@ -0,0 +1,105 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as chai from 'chai';
+let expect = chai.expect;
+// bot classes
+import Brain from '../src/brain';
+import User from '../src/user';
+
+describe('UserDirectory', function() {
+  beforeEach(function() {
+    this.brain = new Brain({on: function() {}});
+    this.guy = this.brain.userForId('1', {
+      name: 'Guy One',
+      email: 'Guy@example.com',
+      nickname: 'guyo',
+      aliases: ['g1'],
+      adapterIds: {slack: 'U001'}
+    });
+    this.girl = this.brain.userForId('2', {name: 'Girl Three'});
+    this.gary = this.brain.userForId('3', {name: 'Gary Oak'});
+  });
+
+  describe('lookups', function() {
+    it('finds users by email (case-insensitive)', function() {
+      expect(this.brain.userForEmail('guy@EXAMPLE.com')).to.equal(this.guy);
+      expect(this.brain.userForEmail('nobody@example.com')).to.be['null'];
+    });
+    it('finds users by nickname and aliases', function() {
+      expect(this.brain.userForAlias('GuyO')).to.equal(this.guy);
+      expect(this.brain.userForAlias('g1')).to.equal(this.guy);
+    });
+    it('finds users by adapter specific id', function() {
+      expect(this.brain.userForAdapterId('slack', 'U001')).to.equal(this.guy);
+      expect(this.brain.userForAdapterId('irc', 'U001')).to.be['null'];
+    });
+    it('finds users by initials', function() {
+      expect(this.brain.usersForInitials('GO'))
+        .to.have.members([this.guy, this.gary]);
+    });
+  });
+
+  describe('#search', function() {
+    it('ranks exact, prefix, initials and misspelled matches', function() {
+      this.brain.userForId('4', {name: 'go'});
+      this.brain.userForId('5', {name: 'Gopher'});
+      this.brain.userForId('6', {name: 'ga'});
+      expect(this.brain.searchUsers('go').map(user => user.name))
+        .to.deep.equal(['go', 'Gopher', 'Gary Oak', 'Guy One', 'ga']);
+    });
+    it('tolerates misspellings up to maxDistance', function() {
+      expect(this.brain.searchUsers('Gril Three')).to.deep.equal([this.girl]);
+      expect(this.brain.searchUsers('Gril Three', {maxDistance: 1}))
+        .to.be.empty;
+    });
+    it('limits the results', function() {
+      expect(this.brain.searchUsers('g', {limit: 2})).to.have.length(2);
+    });
+  });
+
+  describe('indexing', function() {
+    it('indexes users added through userForId', function() {
+      let user = this.brain.userForId('7', {email: 'new@example.com'});
+      expect(this.brain.userForEmail('new@example.com')).to.equal(user);
+    });
+    it('reindexes users on request', function() {
+      this.girl.email = 'girl@example.com';
+      this.brain.directory.index(this.girl);
+      expect(this.brain.userForEmail('girl@example.com')).to.equal(this.girl);
+      this.girl.email = 'three@example.com';
+      this.brain.directory.index(this.girl);
+      expect(this.brain.userForEmail('girl@example.com')).to.be['null'];
+    });
+    it('follows users renamed directly', function() {
+      this.girl.name = 'Bob';
+      expect(this.brain.userForName('Bob')).to.equal(this.girl);
+      expect(this.brain.userForName('Girl Three')).to.be['null'];
+      expect(this.brain.usersForInitials('gt')).to.deep.equal([]);
+    });
+    it('finds users added to the data directly', function() {
+      let user = this.brain.data.users['9'] = new User('9', {name: 'Temp'});
+      expect(this.brain.userForName('Temp')).to.equal(user);
+      delete this.brain.data.users['9'];
+      expect(this.brain.userForName('Temp')).to.be['null'];
+    });
+    it('follows users renamed by a migration', function() {
+      this.brain.registerMigration(1, (data) => {
+        data.users['1'].name = 'Guy Renamed';
+      });
+      this.brain.migrateMemory();
+      expect(this.brain.userForName('Guy Renamed')).to.equal(this.guy);
+      expect(this.brain.userForName('Guy One')).to.be['null'];
+    });
+    it('rebuilds after users are loaded', function() {
+      this.brain.mergeData({users: {
+        8: {id: '8', name: 'Loaded', email: 'loaded@example.com'}
+      }});
+      expect(this.brain.userForEmail('loaded@example.com').name)
+        .to.equal('Loaded');
+    });
+    it('rebuilds after the data is replaced', function() {
+      this.brain.data = {users: {}};
+      expect(this.brain.userForName('Guy One')).to.be['null'];
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as sinon from 'sinon';
+import * as chai from 'chai';
+import sinonChai from 'sinon-chai';
+chai.use(sinonChai);
+let expect = chai.expect;
+import * as Fs from 'fs';
+import * as Os from 'os';
+import * as Path from 'path';
+// bot classes
+import Brain from '../src/brain';
+import FileBrain from '../src/brains/file';
+import User from '../src/user';
+
+describe('FileBrain', function() {
+  beforeEach(function() {
+    this.dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'webby-brain-'));
+    this.path = Path.join(this.dir, 'brain.json');
+    this.robot = {
+      on: function() {},
+      emit: sinon.spy(),
+      logger: {
+        debug: sinon.spy(),
+        error: sinon.spy()
+      }
+    };
+    this.robot.brain = new Brain(this.robot);
+    this.loadStorage = (callback) => {
+      let storage = new FileBrain(this.robot, this.path);
+      this.robot.brain.setDriver(storage);
+      this.robot.brain.load(callback);
+      return storage;
+    };
+  });
+
+  afterEach(function() {
+    for (let file of Fs.readdirSync(this.dir)) {
+      Fs.unlinkSync(Path.join(this.dir, file));
+    }
+    Fs.rmdirSync(this.dir);
+  });
+
+  describe('#load', function() {
+    it('merges the stored data into the brain', function(done) {
+      Fs.writeFileSync(this.path, JSON.stringify({_private: {karma: 3}}));
+      let storage = this.loadStorage(() => {
+        expect(storage.path).to.equal(this.path);
+        expect(this.robot.brain.get('karma')).to.equal(3);
+        done();
+      });
+    });
+
+    it('rehydrates stored users as User instances', function(done) {
+      Fs.writeFileSync(this.path, JSON.stringify({
+        users: {1: {id: '1', name: 'Guy One'}}
+      }));
+      this.loadStorage(() => {
+        let user = this.robot.brain.userForId('1');
+        expect(user).to.be['instanceof'](User);
+        expect(user.name).to.equal('Guy One');
+        done();
+      });
+    });
+
+    it('starts empty when the file does not exist', function(done) {
+      this.loadStorage(() => {
+        expect(this.robot.brain.data.users).to.deep.equal({});
+        expect(this.robot.logger.error).to.not.have.been.called;
+        done();
+      });
+    });
+
+    it('fails on a corrupted file and leaves it as is', function(done) {
+      Fs.writeFileSync(this.path, '{"users": {');
+      this.loadStorage((err) => {
+        expect(err.message).to.match(/^Unable to read brain file .*json:/);
+        expect(Fs.readFileSync(this.path, 'utf-8')).to.equal('{"users": {');
+        done();
+      });
+    });
+  });
+
+  describe('#save', function() {
+    it('writes the data when the brain saves', function(done) {
+      this.loadStorage();
+      this.robot.brain.set('karma', 5);
+      this.robot.brain.save();
+      let check = () => {
+        if (!Fs.existsSync(this.path)) {
+          return setImmediate(check);
+        }
+        let data = JSON.parse(Fs.readFileSync(this.path, 'utf-8'));
+        expect(data._private.karma).to.equal(5);
+        expect(Fs.readdirSync(this.dir)).to.deep.equal(['brain.json']);
+        done();
+      };
+      check();
+    });
+  });
+
+  describe('#close', function() {
+    it('writes the data synchronously', function() {
+      let storage = this.loadStorage();
+      this.robot.brain.set('karma', 7);
+      storage.close();
+      let data = JSON.parse(Fs.readFileSync(this.path, 'utf-8'));
+      expect(data._private.karma).to.equal(7);
+    });
+
+    it('keeps the latest data over a write in flight', function(done) {
+      let storage = this.loadStorage();
+      this.robot.brain.set('karma', 1);
+      storage.save(this.robot.brain.data);
+      this.robot.brain.set('karma', 2);
+      storage.close().then(() => {
+        let data = JSON.parse(Fs.readFileSync(this.path, 'utf-8'));
+        expect(data._private.karma).to.equal(2);
+        expect(Fs.readdirSync(this.dir)).to.deep.equal(['brain.json']);
+        done();
+      }).catch(done);
+    });
+
+    it('keeps the previous file if writing fails', function() {
+      Fs.writeFileSync(this.path, JSON.stringify({_private: {karma: 1}}));
+      let storage = this.loadStorage();
+      this.robot.brain.data.loop = this.robot.brain.data;
+      storage.close();
+      let data = JSON.parse(Fs.readFileSync(this.path, 'utf-8'));
+      expect(data._private.karma).to.equal(1);
+      expect(this.robot.logger.error).to.have.been.calledOnce;
+    });
+  });
+});
@@ -245,6 +245,48 @@ describe('Listener', function() {
             testDone();
           });
         });
+
+        it('waits for the promise returned by the listener callback', function(testDone) {
+          let resolved = false;
+          let testListener = this.createListener(() => new Promise(resolve => {
+            setTimeout(() => {
+              resolved = true;
+              resolve();
+            }, 10);
+          }));
+
+          testListener.call({}, function(result) {
+            expect(resolved).to.be['true'];
+            expect(result).to.be.ok;
+            testDone();
+          });
+        });
+
+        it('emits a rejection of the listener callback as an error', function(testDone) {
+          let error = new Error('async failure');
+          this.robot.emit = sinon.spy();
+          let testListener = this.createListener(() => Promise.reject(error));
+
+          testListener.call({}, (result) => {
+            expect(this.robot.emit).to.have.been.calledWith('error', error,
+              sinon.match.instanceOf(Response));
+            expect(result).to.be.ok;
+            testDone();
+          });
+        });
+
+        it('stops waiting for the listener callback after its timeout', function(testDone) {
+          this.robot.emit = sinon.spy();
+          let testListener = new Listener(this.robot, sinon.stub().returns(true),
+            {id: 'slow', timeout: 0.01}, () => new Promise(() => {}));
+
+          testListener.call({}, (result) => {
+            expect(this.robot.emit).to.have.been.calledWith('error',
+              sinon.match({message: 'Listener slow timed out after 0.01 seconds'}));
+            expect(result).to.be.ok;
+            testDone();
+          });
+        });
       });
 
       describe('if the matcher returns false', function() {
@@ -13,6 +13,7 @@ import {CatchAllMessage, EnterMessage, TextMessage} from '../src/message';
 import Adapter from '../src/adapter';
 import Response from '../src/response';
 import Middleware from '../src/middleware';
+import middlewareScript from '../src/scripts/middleware';
 
 // Preload the Hubot mock adapter but substitute
 // in the latest version of Adapter
@@ -355,6 +356,146 @@ describe('Middleware', function() {
 
         expect(() => this.middleware.register(testMiddleware)).to.throw(/Incorrect number of arguments/);
       });
+
+      it('orders middleware by priority, then registration', function() {
+        let a = (context, next, done) => {};
+        let b = (context, next, done) => {};
+        let c = (context, next, done) => {};
+        this.middleware.register(a, {name: 'a'});
+        this.middleware.register(b, {name: 'b'});
+        this.middleware.register(c, {name: 'c', priority: 10});
+
+        expect(this.middleware.stack).to.deep.equal([c, a, b]);
+      });
+
+      it('honors before and after constraints', function() {
+        let a = (context, next, done) => {};
+        let b = (context, next, done) => {};
+        let c = (context, next, done) => {};
+        this.middleware.register(a, {name: 'a', after: 'c'});
+        this.middleware.register(b, {name: 'b'});
+        this.middleware.register(c, {name: 'c', before: 'b', priority: -1});
+
+        expect(this.middleware.stack).to.deep.equal([c, a, b]);
+      });
+
+      it('rejects duplicate names and constraint cycles', function() {
+        let noop = (context, next, done) => {};
+        this.middleware.register(noop, {name: 'a', after: 'b'});
+
+        expect(() => this.middleware.register(noop, {name: 'a'})).to.throw(/already registered/);
+        expect(() => this.middleware.register(noop, {name: 'b', after: 'a'})).to.throw(/cycle/);
+        expect(this.middleware.list().map(entry => entry.name)).to.deep.equal(['a']);
+      });
+    });
+
+    describe('#unregister', function() {
+      it('removes middleware by name or function', function() {
+        let a = (context, next, done) => {};
+        let b = (context) => Promise.resolve();
+        this.middleware.register(a, {name: 'a'});
+        this.middleware.register(b);
+
+        expect(this.middleware.unregister('a')).to.be['true'];
+        expect(this.middleware.unregister(b)).to.be['true'];
+        expect(this.middleware.unregister('a')).to.be['false'];
+        expect(this.middleware.stack).to.deep.equal([]);
+      });
+    });
+
+    describe('#disable', function() {
+      it('skips middleware until it is enabled again', function() {
+        let a = (context, next, done) => {};
+        this.middleware.register(a, {name: 'a'});
+
+        this.middleware.disable('a');
+        expect(this.middleware.stack).to.deep.equal([]);
+        expect(this.middleware.list()[0].enabled).to.be['false'];
+        this.middleware.enable('a');
+        expect(this.middleware.stack).to.deep.equal([a]);
+      });
+    });
+
+    describe('#list', function() {
+      it('describes the middleware in execution order', function() {
+        this.robot.currentScript = 'scripts/audit';
+        this.middleware.register((context, next, done) => {}, {name: 'audit', priority: 5});
+        this.middleware.register((context, next, done) => {});
+
+        expect(this.middleware.list()).to.deep.equal([
+          {name: 'audit', priority: 5, before: [], after: [], enabled: true, owner: 'scripts/audit'},
+          {name: null, priority: 0, before: [], after: [], enabled: true, owner: 'scripts/audit'}
+        ]);
+      });
+    });
+
+    describe('Promise based middleware', function() {
+      it('continues once the promise of (context) middleware resolves', function(testDone) {
+        let execution = [];
+        this.middleware.register(function(context) {
+          return new Promise(resolve => setImmediate(() => {
+            execution.push('A');
+            resolve();
+          }));
+        });
+        this.middleware.register(function(context, next, done) {
+          execution.push('B');
+          next(done);
+        });
+
+        this.middleware.execute({}, (_, done) => {
+          expect(execution).to.deep.equal(['A', 'B']);
+          done();
+        }, testDone);
+      });
+
+      it('stops when (context) middleware resolves to false', function(testDone) {
+        this.middleware.register(context => Promise.resolve(false));
+        let finished = sinon.spy();
+
+        this.middleware.execute({}, finished, () => {
+          expect(finished).to.not.have.been.called;
+          testDone();
+        });
+      });
+
+      it('resumes (context, next) middleware after the rest of the stack', function(testDone) {
+        let execution = [];
+        this.middleware.register(function(context, next) {
+          execution.push('A before');
+          return next().then(() => execution.push('A after'));
+        });
+        this.middleware.register(function(context, next, done) {
+          execution.push('B');
+          next(() => {
+            execution.push('B done');
+            done();
+          });
+        });
+
+        this.middleware.execute({}, (_, done) => {
+          execution.push('listener');
+          done();
+        }, () => {
+          expect(execution).to.deep.equal(
+            ['A before', 'B', 'listener', 'B done', 'A after']);
+          testDone();
+        });
+      });
+
+      it('emits rejections as errors and stops', function(testDone) {
+        let error = new Error('rejected');
+        let context = {response: {}};
+        this.middleware.register((ctx, next) => Promise.reject(error));
+        let finished = sinon.spy();
+
+        this.middleware.execute(context, finished, () => {
+          expect(finished).to.not.have.been.called;
+          expect(this.robot.emit).to.have.been.calledWith('error', error,
+            context.response);
+          testDone();
+        });
+      });
     });
   });
 
@@ -507,5 +648,19 @@ describe('Middleware', function() {
         }.bind(this));
       });
     });
+
+    describe('show middleware command', function() {
+      it('lists the stacks to admins', function(testDone) {
+        middlewareScript(this.robot);
+        this.robot.auth.grant(this.user, 'admin');
+        this.robot.adapter.send = sinon.spy();
+        this.robot.receive(new TextMessage(this.user, 'TestHubot show middleware'), () => {
+          expect(this.robot.adapter.send).to.have.been.calledWith(sinon.match.any,
+            'listener:\n  1. auth\n  2. rate-limit\nresponse: none\n' +
+            'receive:\n  1. conversation [priority 100]');
+          testDone();
+        });
+      });
+    });
   });
 });
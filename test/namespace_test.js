@@ -0,0 +1,92 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as sinon from 'sinon';
+import * as chai from 'chai';
+import sinonChai from 'sinon-chai';
+chai.use(sinonChai);
+let expect = chai.expect;
+// bot classes
+import Brain from '../src/brain';
+import Namespace from '../src/namespace';
+
+describe('Namespace', function() {
+  beforeEach(function() {
+    this.clock = sinon.useFakeTimers();
+    this.brain = new Brain({on: function() {}});
+    this.karma = this.brain.namespace('karma');
+  });
+  afterEach(function() {
+    this.clock.restore();
+  });
+
+  it('is returned by Brain#namespace', function() {
+    expect(this.karma).to.be['instanceof'](Namespace);
+    expect(this.karma.name).to.equal('karma');
+  });
+
+  describe('#get', function() {
+    it('returns the saved value', function() {
+      this.karma.set('count', 1);
+      expect(this.karma.get('count')).to.equal(1);
+    });
+    it('returns null if the key is not found', function() {
+      expect(this.karma.get('count')).to.be['null'];
+    });
+    it('does not see keys of other namespaces', function() {
+      this.brain.namespace('polls').set('count', 2);
+      this.brain.set('count', 3);
+      expect(this.karma.get('count')).to.be['null'];
+    });
+  });
+
+  describe('#set', function() {
+    it('returns the namespace', function() {
+      expect(this.karma.set('count', 1)).to.equal(this.karma);
+    });
+    it('expires keys after their ttl', function() {
+      this.karma.set('count', 1, {ttl: 10});
+      this.clock.tick(9999);
+      expect(this.karma.get('count')).to.equal(1);
+      this.clock.tick(1);
+      expect(this.karma.get('count')).to.be['null'];
+      expect(this.karma.has('count')).to.equal(false);
+    });
+    it('clears the ttl when set again without one', function() {
+      this.karma.set('count', 1, {ttl: 10});
+      this.karma.set('count', 2);
+      this.clock.tick(20000);
+      expect(this.karma.get('count')).to.equal(2);
+    });
+  });
+
+  describe('#remove', function() {
+    it('removes the key', function() {
+      this.karma.set('count', 1);
+      this.karma.remove('count');
+      expect(this.karma.has('count')).to.equal(false);
+    });
+  });
+
+  describe('#keys', function() {
+    it('lists keys that have not expired', function() {
+      this.karma.set('alice', 1);
+      this.karma.set('bob', 1, {ttl: 1});
+      this.clock.tick(1000);
+      expect(this.karma.keys()).to.deep.equal(['alice']);
+    });
+  });
+
+  describe('#increment', function() {
+    it('starts counting from zero', function() {
+      expect(this.karma.increment('alice')).to.equal(1);
+      expect(this.karma.increment('alice', 5)).to.equal(6);
+      expect(this.karma.get('alice')).to.equal(6);
+    });
+    it('keeps the ttl', function() {
+      this.karma.set('alice', 1, {ttl: 1});
+      this.karma.increment('alice');
+      this.clock.tick(1000);
+      expect(this.karma.has('alice')).to.equal(false);
+    });
+  });
+});
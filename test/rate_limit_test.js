@@ -0,0 +1,157 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as sinon from 'sinon';
+import * as chai from 'chai';
+import sinonChai from 'sinon-chai';
+chai.use(sinonChai);
+let expect = chai.expect;
+import * as mockery from 'mockery';
+
+// bot classes
+import Robot from '../src/robot';
+import {TextMessage} from '../src/message';
+import Adapter from '../src/adapter';
+
+// Preload the Hubot mock adapter but substitute in the latest version of Adapter
+mockery.enable();
+mockery.registerAllowable('hubot-mockadapter');
+mockery.registerMock('webbybot/src/adapter', Adapter);
+import 'hubot-mockadapter';
+mockery.deregisterMock('webbybot/src/adapter');
+mockery.disable();
+
+describe('RateLimiter', function() {
+  beforeEach(function() {
+    this.clock = sinon.useFakeTimers(1000, 'Date');
+    this.robot = new Robot(null, 'mockadapter', false, 'TestHubot');
+    this.robot.run();
+    this.limiter = this.robot.rateLimiter;
+    this.user = this.robot.brain.userForId('1', {name: 'guy', room: '#a'});
+    this.other = this.robot.brain.userForId('2', {name: 'gal', room: '#a'});
+    this.robot.adapter.reply = sinon.spy();
+    this.callback = sinon.spy();
+    this.say = (user, count, callback) => {
+      if (count === 0) {
+        return callback();
+      }
+      this.robot.receive(new TextMessage(user, 'calc'), () => {
+        this.say(user, count - 1, callback);
+      });
+    };
+  });
+
+  afterEach(function() {
+    this.robot.shutdown();
+    this.clock.restore();
+  });
+
+  describe('#take', function() {
+    it('allows bursts up to the capacity', function() {
+      let limit = {capacity: 2, interval: 60};
+      expect(this.limiter.take('key', limit)).to.equal(0);
+      expect(this.limiter.take('key', limit)).to.equal(0);
+      expect(this.limiter.take('key', limit)).to.equal(30);
+    });
+
+    it('refills the bucket over the interval', function() {
+      let limit = {capacity: 2, interval: 60};
+      this.limiter.take('key', limit);
+      this.limiter.take('key', limit);
+      this.clock.tick(30000);
+      expect(this.limiter.take('key', limit)).to.equal(0);
+      expect(this.limiter.take('key', limit)).to.equal(30);
+    });
+  });
+
+  describe('#limitFor', function() {
+    it('fills in the defaults', function() {
+      expect(this.limiter.limitFor(2)).to.deep.equal({
+        capacity: 2,
+        interval: 60,
+        per: ['user'],
+        exceeded: 'drop',
+        reply: 'Slow down! Try again in {wait} seconds.'
+      });
+    });
+
+    it('rejects invalid options', function() {
+      expect(() => this.limiter.limitFor('2')).to.throw(/Invalid rate limit/);
+      expect(() => this.limiter.limitFor(0)).to.throw(/capacity/);
+      expect(() => this.limiter.limitFor({interval: -1})).to.throw(/interval/);
+      expect(() => this.limiter.limitFor({per: 'team'})).to.throw(/scope team/);
+      expect(() => this.limiter.limitFor({exceeded: 'kick'}))
+        .to.throw(/behavior kick/);
+    });
+  });
+
+  describe('Listener middleware', function() {
+    it('rejects an invalid rate limit at registration', function() {
+      expect(() => this.robot.hear(/calc/, {rateLimit: {per: 'team'}},
+        this.callback)).to.throw('Unknown rate limit scope team');
+      expect(this.robot.listeners).to.be.empty;
+    });
+
+
+    it('drops messages over the limit by default', function(done) {
+      this.robot.hear(/calc/, {id: 'calc', rateLimit: 2}, this.callback);
+      this.say(this.user, 3, () => {
+        expect(this.callback).to.have.been.calledTwice;
+        expect(this.robot.adapter.reply).to.not.have.been.called;
+        done();
+      });
+    });
+
+    it('keeps a bucket per user', function(done) {
+      this.robot.hear(/calc/, {id: 'calc', rateLimit: 1}, this.callback);
+      this.say(this.user, 2, () => {
+        this.say(this.other, 1, () => {
+          expect(this.callback).to.have.been.calledTwice;
+          done();
+        });
+      });
+    });
+
+    it('keeps a bucket per room', function(done) {
+      this.robot.hear(/calc/, {
+        id: 'calc',
+        rateLimit: {capacity: 1, per: 'room'}
+      }, this.callback);
+      this.say(this.user, 1, () => {
+        this.say(this.other, 1, () => {
+          expect(this.callback).to.have.been.calledOnce;
+          done();
+        });
+      });
+    });
+
+    it('replies once until calls are allowed again', function(done) {
+      this.robot.hear(/calc/, {
+        id: 'calc',
+        rateLimit: {capacity: 1, exceeded: 'reply'}
+      }, this.callback);
+      this.say(this.user, 3, () => {
+        expect(this.callback).to.have.been.calledOnce;
+        expect(this.robot.adapter.reply).to.have.been.calledOnce.calledWith(
+          sinon.match.any, 'Slow down! Try again in 60 seconds.');
+        done();
+      });
+    });
+
+    it('emits an event when exceeded', function(done) {
+      let limited = sinon.spy();
+      this.robot.on('rate-limited', limited);
+      this.robot.hear(/calc/, {
+        id: 'calc',
+        rateLimit: {capacity: 1, exceeded: 'event'}
+      }, this.callback);
+      this.say(this.user, 2, () => {
+        expect(limited).to.have.been.calledOnce.calledWith(sinon.match.any, {
+          listener: 'calc',
+          key: 'calc|user:1',
+          wait: 60
+        });
+        done();
+      });
+    });
+  });
+});
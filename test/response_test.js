@@ -0,0 +1,47 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as sinon from 'sinon';
+import * as chai from 'chai';
+import sinonChai from 'sinon-chai';
+chai.use(sinonChai);
+let expect = chai.expect;
+// bot classes
+import Brain from '../src/brain';
+import Response from '../src/response';
+import {TextMessage} from '../src/message';
+
+describe('Response', function() {
+  beforeEach(function() {
+    this.robot = {
+      on: function() {}
+    };
+    this.robot.brain = new Brain(this.robot);
+    this.user = this.robot.brain.userForId('1', {name: 'Guy One'});
+    this.response = new Response(this.robot,
+      new TextMessage(this.user, 'message123'));
+  });
+
+  describe('#user', function() {
+    it('is the user who sent the message', function() {
+      expect(this.response.user).to.equal(this.user);
+    });
+  });
+
+  describe('#userPref', function() {
+    it('returns null for unset preferences', function() {
+      expect(this.response.userPref('units')).to.be['null'];
+    });
+    it('stores preferences on the user through the brain', function() {
+      sinon.spy(this.robot.brain, 'markDirty');
+      expect(this.response.userPref('units', 'metric')).to.equal('metric');
+      expect(this.user.prefs).to.deep.equal({units: 'metric'});
+      expect(this.robot.brain.markDirty).to.have.been
+        .calledWith('users', '1');
+    });
+    it('removes preferences set to null', function() {
+      this.response.userPref('units', 'metric');
+      this.response.userPref('units', null);
+      expect(this.response.userPref('units')).to.be['null'];
+    });
+  });
+});
@@ -6,12 +6,18 @@ import sinonChai from 'sinon-chai';
 chai.use(sinonChai);
 let expect = chai.expect;
 import * as mockery from 'mockery';
+import * as Fs from 'fs';
+import * as Os from 'os';
+import * as Path from 'path';
 
 // bot classes
 import Robot from '../src/robot';
 import {CatchAllMessage, EnterMessage, LeaveMessage, TextMessage, TopicMessage}
   from '../src/message';
 import Adapter from '../src/adapter';
+import listenersScript from '../src/scripts/listeners';
+import helpScript from '../src/scripts/help';
+import scriptsScript from '../src/scripts/scripts';
 
 // Preload the Hubot mock adapter but substitute in the latest version of Adapter
 mockery.enable();
@@ -160,6 +166,251 @@ describe('Robot', function() {
       });
     });
 
+    describe('#listenerReport', function() {
+      it('lists the listeners by priority, then registration', function() {
+        this.robot.currentScript = 'scripts/deploy';
+        this.robot.hear(/first/, {id: 'first'}, function() {});
+        this.robot.currentScript = null;
+        this.robot.hear(/urgent/, {id: 'urgent', priority: 10,
+          fallthrough: false}, function() {});
+        this.robot.listen(function() {}, {priority: -1}, function() {});
+        this.robot.hear(/second/, function() {});
+        expect(this.robot.listenerReport()).to.deep.equal([
+          {position: 1, id: 'urgent', priority: 10, fallthrough: false,
+            matcher: '/urgent/', owner: null},
+          {position: 2, id: 'first', priority: 0, fallthrough: true,
+            matcher: '/first/', owner: 'scripts/deploy'},
+          {position: 3, id: null, priority: 0, fallthrough: true,
+            matcher: '/second/', owner: null},
+          {position: 4, id: null, priority: -1, fallthrough: true,
+            matcher: null, owner: null}
+        ]);
+      });
+
+      it('is shown to admins by the show listeners command', function(done) {
+        listenersScript(this.robot);
+        this.robot.hear(/deploy/, {id: 'deploy', fallthrough: false},
+          function() {});
+        this.robot.auth.grant(this.user, 'admin');
+        this.robot.adapter.send = sinon.spy();
+        let message = new TextMessage(this.user, 'TestHubot show listeners');
+        this.robot.receive(message, () => {
+          expect(this.robot.adapter.send).to.have.been.calledWith(
+            sinon.match.any, '1. listeners.show [priority 0]\n' +
+            '2. deploy [priority 0, no fallthrough]');
+          done();
+        });
+      });
+    });
+
+    describe('#command', function() {
+      beforeEach(function() {
+        this.callback = sinon.spy();
+        this.robot.command('deploy <app> [env] --force',
+          {description: 'Deploy an app'}, this.callback);
+        this.robot.adapter.reply = sinon.spy();
+      });
+
+      it('adds a help command', function() {
+        expect(this.robot.commands).to.deep.equal(
+          ['hubot deploy <app> [env] --force - Deploy an app']);
+      });
+
+      it('passes the parsed arguments to the callback', function(done) {
+        let message = new TextMessage(this.user, 'Hubot: deploy web --force');
+        this.robot.receive(message, () => {
+          expect(this.callback).to.have.been.calledOnce;
+          expect(this.callback.args[0][0].args).to.deep.equal(
+            {app: 'web', env: null, force: true});
+          done();
+        });
+      });
+
+      it('replies with the usage to malformed commands', function(done) {
+        let message = new TextMessage(this.user, 'TestHubot deploy');
+        this.robot.receive(message, () => {
+          expect(this.callback).to.not.have.been.called;
+          expect(this.robot.adapter.reply).to.have.been.calledWith(
+            sinon.match.any,
+            'Missing <app>. Usage: TestHubot deploy <app> [env] --force');
+          done();
+        });
+      });
+    });
+
+    describe('#parseHelp', function() {
+      beforeEach(function() {
+        this.dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'webby-scripts-'));
+        this.path = Path.join(this.dir, 'deploy.js');
+        Fs.writeFileSync(this.path, [
+          '// Description:',
+          '//   Deploy applications.',
+          '//',
+          '// Configuration:',
+          '//   DEPLOY_TOKEN',
+          '//',
+          '// Commands:',
+          '//   hubot deploy <app> - Deploy an app',
+          '//',
+          '// Author:',
+          '//   ops',
+          'module.exports = function(robot) {};'
+        ].join('\n'));
+      });
+
+      afterEach(function() {
+        Fs.unlinkSync(this.path);
+        Fs.rmdirSync(this.dir);
+      });
+
+      it('keeps the documentation of the script', function() {
+        this.robot.parseHelp(this.path);
+        expect(this.robot.commands).to.deep.equal(
+          ['hubot deploy <app> - Deploy an app']);
+        expect(this.robot.documentation).to.deep.equal({
+          [Path.join(this.dir, 'deploy')]: {
+            description: ['Deploy applications.'],
+            configuration: ['DEPLOY_TOKEN'],
+            commands: ['hubot deploy <app> - Deploy an app'],
+            author: ['ops']
+          }
+        });
+      });
+
+      it('reads block comments after the prologue', function() {
+        Fs.writeFileSync(this.path, [
+          '#!/usr/bin/env node',
+          '\'use strict\';',
+          '',
+          '/**',
+          ' * Description:',
+          ' *   Deploy applications.',
+          ' *',
+          ' * Commands:',
+          ' *   hubot deploy <app> - Deploy an app',
+          ' */',
+          'module.exports = function(robot) {};',
+          '// Commands:',
+          '//   hubot ignored - Not in the header'
+        ].join('\n'));
+        this.robot.parseHelp(this.path);
+        let doc = this.robot.documentation[Path.join(this.dir, 'deploy')];
+        expect(doc).to.deep.equal({
+          description: ['Deploy applications.'],
+          commands: ['hubot deploy <app> - Deploy an app']
+        });
+      });
+
+      it('reads the metadata exported by the script', function() {
+        let script = function(robot) {};
+        script.meta = {
+          Configuration: 'DEPLOY_URL',
+          commands: ['hubot rollback <app> - Roll an app back']
+        };
+        script.help = ['hubot deploy <app> - Deploy an app'];
+        this.robot.parseHelp(this.path, script);
+        expect(this.robot.documentation[Path.join(this.dir, 'deploy')]
+          .configuration).to.deep.equal(['DEPLOY_TOKEN', 'DEPLOY_URL']);
+        expect(this.robot.commands).to.deep.equal([
+          'hubot deploy <app> - Deploy an app',
+          'hubot rollback <app> - Roll an app back'
+        ]);
+      });
+
+      it('parses the help of external scripts', function() {
+        let main = Path.join(this.dir, 'index.js');
+        Fs.writeFileSync(main, [
+          '// Commands:',
+          '//   hubot status - Show the status',
+          'module.exports = function(robot) {};',
+          'module.exports.meta = {description: \'Status page\'};'
+        ].join('\n'));
+        this.robot.loadExternalScripts([this.dir]);
+        Fs.unlinkSync(main);
+        expect(this.robot.documentation[this.dir]).to.deep.equal({
+          commands: ['hubot status - Show the status'],
+          description: ['Status page']
+        });
+        expect(this.robot.scripts[this.dir].commands).to.deep.equal(
+          ['hubot status - Show the status']);
+      });
+    });
+
+    describe('#missingConfiguration', function() {
+      it('reports the declared variables not set or empty', function() {
+        this.robot.documentation = {
+          deploy: {configuration: [
+            'DEPLOY_TOKEN - The API token',
+            'DEPLOY_URL=https://deploy.example.com',
+            'DEPLOY_ROOM - The room to report to (optional)',
+            'DEPLOY_USER'
+          ]},
+          ping: {commands: ['hubot ping - Reply with pong']},
+          status: {configuration: ['Set STATUS_URL to enable it']}
+        };
+        let env = {DEPLOY_URL: ' ', DEPLOY_USER: 'bot'};
+        expect(this.robot.missingConfiguration(env)).to.deep.equal({
+          deploy: {missing: ['DEPLOY_TOKEN'], empty: ['DEPLOY_URL']}
+        });
+      });
+    });
+
+    describe('#unresolvedPackages', function() {
+      it('lists the packages which cannot be resolved', function() {
+        expect(this.robot.unresolvedPackages(['sinon', 'webby-missing']))
+          .to.deep.equal(['webby-missing']);
+        expect(this.robot.unresolvedPackages({'webby-missing': {}, 'chai': {}}))
+          .to.deep.equal(['webby-missing']);
+      });
+    });
+
+    describe('#help', function() {
+      beforeEach(function() {
+        this.robot.commands.push('hubot ship <app> - Ship an app',
+          'hubot ping - Reply with pong');
+        this.robot.documentation.deploy = {
+          description: ['Deploy applications.'],
+          commands: ['hubot ship <app> - Ship an app']
+        };
+      });
+
+      it('lists every command with the robot alias', function() {
+        expect(this.robot.help()).to.deep.equal([
+          'Hubot ping - Reply with pong',
+          'Hubot ship <app> - Ship an app'
+        ]);
+      });
+
+      it('searches commands and script descriptions', function() {
+        expect(this.robot.help('PONG')).to.deep.equal(
+          ['Hubot ping - Reply with pong']);
+        expect(this.robot.help('applications')).to.deep.equal(
+          ['Hubot ship <app> - Ship an app']);
+      });
+
+      it('uses the robot name without alias', function() {
+        this.robot.alias = false;
+        expect(this.robot.help('ping')).to.deep.equal(
+          ['TestHubot ping - Reply with pong']);
+      });
+
+      it('is answered by the help command', function(done) {
+        helpScript(this.robot);
+        this.robot.adapter.send = sinon.spy();
+        let message = new TextMessage(this.user, 'TestHubot help ship');
+        this.robot.receive(message, () => {
+          expect(this.robot.adapter.send).to.have.been.calledWith(
+            sinon.match.any, 'Hubot ship <app> - Ship an app');
+          message = new TextMessage(this.user, 'TestHubot help nothing');
+          this.robot.receive(message, () => {
+            expect(this.robot.adapter.send).to.have.been.calledWith(
+              sinon.match.any, 'No available commands match nothing.');
+            done();
+          });
+        });
+      });
+    });
+
     describe('#respond', function() {
       it('registers a new listener using hear', function() {
         sinon.spy(this.robot, 'hear');
@@ -322,6 +573,33 @@ describe('Robot', function() {
       });
     });
 
+    describe('#run', function() {
+      it('runs the adapter after the brain has loaded', function(done) {
+        let robot = new Robot(null, 'mockadapter', false, 'TestHubot');
+        let loaded = false;
+        robot.brain.setDriver({
+          load: () => new Promise(resolve => setImmediate(() => {
+            loaded = true;
+            resolve({});
+          }))
+        });
+        robot.adapter.run = () => {
+          expect(loaded).to.be.ok;
+          robot.shutdown();
+          done();
+        };
+        robot.run();
+      });
+    });
+
+    describe('#loadBrain', function() {
+      it('sets a built-in driver on the brain', function() {
+        this.robot.loadBrain('file', {path: 'test-brain.json'});
+        expect(this.robot.brain.driver.path).to.match(/test-brain\.json$/);
+        this.robot.brain.driver = null;
+      });
+    });
+
     describe('#loadFile', function() {
       beforeEach(function() {
         this.sandbox = sinon.sandbox.create();
@@ -354,6 +632,32 @@ describe('Robot', function() {
             .calledWith('scripts/test-script.js');
         });
       });
+      describe('failing script', function() {
+        beforeEach(function() {
+          let module = require('module');
+          this.sandbox.stub(module, '_load').throws(new Error('Broken'));
+          this.sandbox.stub(this.robot.logger, 'error');
+          this.sandbox.stub(process, 'exit');
+        });
+        it('is kept and emitted without exiting', function() {
+          let failed = sinon.spy();
+          this.robot.on('script-load-error', failed);
+          this.robot.loadFile('./scripts', 'test-script.js');
+          expect(process.exit).to.not.have.been.called;
+          expect(this.robot.logger.error).to.have.been.calledOnce;
+          expect(failed).to.have.been.calledWith('scripts/test-script',
+            sinon.match({message: 'Broken'}));
+          expect(this.robot.scriptReport()).to.deep.equal({
+            loaded: [],
+            failed: [{name: 'scripts/test-script', error: 'Broken'}]
+          });
+        });
+        it('exits in strict mode', function() {
+          this.robot.strictLoading = true;
+          this.robot.loadFile('./scripts', 'test-script.js');
+          expect(process.exit).to.have.been.calledWith(1);
+        });
+      });
       describe('non-Function script', function() {
         beforeEach(function() {
           let module = require('module');
@@ -369,6 +673,292 @@ describe('Robot', function() {
       });
     });
 
+    describe('#unload', function() {
+      beforeEach(function() {
+        this.dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'webby-scripts-'));
+        this.path = Path.join(this.dir, 'greet.js');
+        this.writeScript = (reply) => {
+          Fs.writeFileSync(this.path, [
+            '// Commands:',
+            '//   hubot greet - Say ' + reply,
+            'module.exports = function(robot) {',
+            '  robot.respond(/greet/, function(res) {',
+            '    res.send(\'' + reply + '\');',
+            '  });',
+            '  robot.listenerMiddleware(function(context, next, done) {',
+            '    next(done);',
+            '  });',
+            '  robot.router.get(\'/greet\', function(req, res) {',
+            '    res.end();',
+            '  });',
+            '};'
+          ].join('\n'));
+        };
+        this.writeScript('hello');
+        this.robot.loadFile(this.dir, 'greet.js');
+      });
+
+      afterEach(function() {
+        Fs.unlinkSync(this.path);
+        Fs.rmdirSync(this.dir);
+      });
+
+      it('records what the script registered', function() {
+        let script = this.robot.scripts[Path.join(this.dir, 'greet')];
+        expect(script.commands).to.deep.equal(['hubot greet - Say hello']);
+        expect(script.routes).to.have.length(1);
+        expect(this.robot.documentation[Path.join(this.dir, 'greet')].commands)
+          .to.deep.equal(['hubot greet - Say hello']);
+        expect(this.robot.listeners[0].owner).to.equal(
+          Path.join(this.dir, 'greet'));
+      });
+
+      it('removes what the script registered', function() {
+        let routes = this.robot.routes().length;
+        let unloaded = sinon.spy();
+        this.robot.on('script-unloaded', unloaded);
+        expect(this.robot.unload(this.path)).to.be['true'];
+        expect(this.robot.listeners).to.have.length(0);
+        expect(this.robot.commands).to.deep.equal([]);
+        expect(this.robot.documentation).to.deep.equal({});
+        expect(this.robot.middleware.listener.list()
+          .map(entry => entry.name)).to.deep.equal(['auth', 'rate-limit']);
+        expect(this.robot.routes()).to.have.length(routes - 1);
+        expect(unloaded).to.have.been.calledWith(Path.join(this.dir, 'greet'));
+        expect(this.robot.unload(this.path)).to.be['false'];
+      });
+
+      it('reloads the changed script', function(done) {
+        this.writeScript('hi');
+        expect(this.robot.reload(this.path)).to.be['true'];
+        expect(this.robot.listeners).to.have.length(1);
+        expect(this.robot.commands).to.deep.equal(['hubot greet - Say hi']);
+        this.robot.adapter.send = sinon.spy();
+        let message = new TextMessage(this.user, 'TestHubot greet');
+        this.robot.receive(message, () => {
+          expect(this.robot.adapter.send).to.have.been.calledOnce
+            .calledWith(sinon.match.any, 'hi');
+          done();
+        });
+      });
+
+      it('keeps loading the other external scripts', function() {
+        sinon.stub(this.robot.logger, 'error');
+        let failed = sinon.spy();
+        this.robot.on('script-load-error', failed);
+        this.robot.loadExternalScripts(['webby-missing', this.path]);
+        expect(failed).to.have.been.calledOnce.calledWith('webby-missing');
+        expect(this.robot.scriptReport().failed.map(failure => failure.name))
+          .to.deep.equal(['webby-missing']);
+        expect(this.robot.scripts[this.path]).to.exist;
+      });
+
+      it('shows the scripts to admins', function(done) {
+        scriptsScript(this.robot);
+        this.robot.failedScripts.broken = {error: new Error('Broken')};
+        this.robot.auth.grant(this.user, 'admin');
+        this.robot.adapter.send = sinon.spy();
+        let message = new TextMessage(this.user, 'TestHubot show scripts');
+        let greet = Path.relative(process.cwd(), Path.join(this.dir, 'greet'));
+        this.robot.receive(message, () => {
+          expect(this.robot.adapter.send).to.have.been.calledWith(
+            sinon.match.any,
+            `loaded:\n  ${greet}\nfailed:\n  broken - Broken`);
+          done();
+        });
+      });
+
+      it('leaves a script that fails to reload unloaded', function() {
+        Fs.writeFileSync(this.path, 'module.exports = function(robot) {');
+        sinon.stub(this.robot.logger, 'error');
+        expect(this.robot.reload(this.path)).to.be['false'];
+        expect(this.robot.logger.error).to.have.been.calledOnce;
+        expect(this.robot.listeners).to.have.length(0);
+        expect(this.robot.scriptReport().failed.map(failure => failure.name))
+          .to.deep.equal([Path.join(this.dir, 'greet')]);
+      });
+    });
+
+    describe('#loadCoreScripts', function() {
+      beforeEach(function() {
+        this.core = Path.join(__dirname, '..', 'src', 'scripts', 'help');
+        this.dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'webby-help-'));
+        this.path = Path.join(this.dir, 'help.js');
+        Fs.writeFileSync(this.path, [
+          '// Commands:',
+          '//   hubot help - Show the help of this bot',
+          'module.exports = function(robot) {',
+          '  robot.respond(/help$/, function() {});',
+          '};'
+        ].join('\n'));
+      });
+
+      afterEach(function() {
+        Fs.unlinkSync(this.path);
+        Fs.rmdirSync(this.dir);
+      });
+
+      it('leaves out the core scripts to skip', function() {
+        this.robot.loadCoreScripts(['help']);
+        expect(this.robot.scripts).to.not.have.property(this.core);
+        expect(this.robot.scripts).to.have.property(
+          Path.join(__dirname, '..', 'src', 'scripts', 'roles'));
+      });
+
+      it('keeps the documentation of scripts of the same name', function() {
+        this.robot.loadCoreScripts([]);
+        this.robot.loadFile(this.dir, 'help.js');
+        let own = Path.join(this.dir, 'help');
+        expect(this.robot.documentation).to.have.property(this.core);
+        expect(this.robot.documentation).to.have.property(own);
+        expect(this.robot.unloadCoreHelp()).to.be['true'];
+        expect(this.robot.scripts).to.not.have.property(this.core);
+        expect(this.robot.documentation).to.not.have.property(this.core);
+        expect(this.robot.documentation[own].commands).to.deep.equal(
+          ['hubot help - Show the help of this bot']);
+        expect(this.robot.listeners.filter(listener =>
+          listener.options.id === 'help')).to.have.length(0);
+      });
+
+      it('keeps the core help without another help script', function() {
+        this.robot.loadCoreScripts([]);
+        expect(this.robot.unloadCoreHelp()).to.be['false'];
+        expect(this.robot.scripts).to.have.property(this.core);
+      });
+    });
+
+    describe('#unload of a package', function() {
+      beforeEach(function() {
+        this.dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'webby-package-'));
+        this.scriptsDir = Path.join(this.dir, 'scripts');
+        Fs.mkdirSync(this.scriptsDir);
+        this.nested = Path.join(this.scriptsDir, 'nested.js');
+        Fs.writeFileSync(Path.join(this.dir, 'index.js'), [
+          'var path = require(\'path\');',
+          'module.exports = function(robot) {',
+          '  robot.loadFile(path.join(__dirname, \'scripts\'), ' +
+            '\'nested.js\');',
+          '  robot.hear(/after/, function() {});',
+          '};'
+        ].join('\n'));
+        Fs.writeFileSync(this.nested, [
+          '// Commands:',
+          '//   hubot nested - Do nested things',
+          'module.exports = function(robot) {',
+          '  robot.hear(/nested/, function() {});',
+          '};'
+        ].join('\n'));
+        this.robot.loadExternalScripts([this.dir]);
+      });
+
+      afterEach(function() {
+        Fs.unlinkSync(this.nested);
+        Fs.rmdirSync(this.scriptsDir);
+        Fs.unlinkSync(Path.join(this.dir, 'index.js'));
+        Fs.rmdirSync(this.dir);
+      });
+
+      it('gives the scripts of the package their owner', function() {
+        let nested = Path.join(this.scriptsDir, 'nested');
+        expect(this.robot.listeners.map(listener => listener.owner))
+          .to.deep.equal([nested, this.dir]);
+        expect(this.robot.scripts[nested].parent).to.equal(this.dir);
+        expect(this.robot.scripts[nested].commands).to.deep.equal(
+          ['hubot nested - Do nested things']);
+        expect(this.robot.scripts[this.dir].commands).to.deep.equal([]);
+        expect(this.robot.currentScript).to.be['null'];
+      });
+
+      it('unloads the scripts the package loaded', function() {
+        expect(this.robot.unload(this.dir)).to.be['true'];
+        expect(this.robot.listeners).to.have.length(0);
+        expect(this.robot.commands).to.deep.equal([]);
+        expect(this.robot.scripts).to.deep.equal({});
+        expect(require.cache[this.nested]).to.not.exist;
+      });
+
+      it('reloads the package once', function() {
+        expect(this.robot.reload(this.dir)).to.be['true'];
+        expect(this.robot.listeners).to.have.length(2);
+        expect(this.robot.commands).to.deep.equal(
+          ['hubot nested - Do nested things']);
+      });
+    });
+
+    describe('#loadExternalScripts', function() {
+      beforeEach(function() {
+        this.dir = Fs.mkdtempSync(Path.join(Os.tmpdir(), 'webby-plugin-'));
+        this.plugin = Path.join(this.dir, 'index.js');
+        Fs.writeFileSync(this.plugin, [
+          'module.exports = function(robot, config) {',
+          '  module.exports.config = config;',
+          '};',
+          'module.exports.schema = {',
+          '  type: \'object\',',
+          '  properties: {',
+          '    room: {type: \'string\'},',
+          '    retries: {type: \'integer\', default: 3}',
+          '  },',
+          '  required: [\'room\']',
+          '};'
+        ].join('\n'));
+        sinon.stub(this.robot.logger, 'error');
+      });
+
+      afterEach(function() {
+        delete require.cache[this.plugin];
+        Fs.readdirSync(this.dir).forEach(file =>
+          Fs.unlinkSync(Path.join(this.dir, file)));
+        Fs.rmdirSync(this.dir);
+      });
+
+      it('passes the configuration of each package', function() {
+        this.robot.loadExternalScripts({[this.dir]: {room: '#ops'}});
+        expect(require(this.dir).config).to.deep.equal(
+          {room: '#ops', retries: 3});
+        expect(this.robot.scripts[this.dir].config).to.deep.equal(
+          {room: '#ops'});
+      });
+
+      it('refuses configurations not matching the schema', function() {
+        this.robot.loadExternalScripts({[this.dir]: {retries: 'many'}});
+        expect(this.robot.scripts[this.dir]).to.not.exist;
+        expect(this.robot.scriptReport().failed[0].error).to.equal(
+          `Invalid configuration of ${this.dir}: config should have ` +
+          'required property \'room\', config.retries should be integer');
+      });
+
+      it('reads the plugins of a YAML or JSON config file', function() {
+        let config = Path.join(this.dir, 'webby.config');
+        Fs.writeFileSync(config, [
+          'plugins:',
+          '  hubot-deploy:',
+          '    room: "#ops"',
+          '  hubot-ping:'
+        ].join('\n'));
+        expect(this.robot.readConfigFile(config)).to.deep.equal(
+          {'hubot-deploy': {room: '#ops'}, 'hubot-ping': null});
+        Fs.writeFileSync(config, '{"plugins": ["hubot-ping"]}');
+        expect(this.robot.readConfigFile(config)).to.deep.equal(
+          ['hubot-ping']);
+        expect(this.robot.readConfigFile(Path.join(this.dir, 'missing')))
+          .to.be['null'];
+      });
+
+      it('merges lists of packages', function() {
+        expect(this.robot.mergePackages(['a', 'b'], null, ['b', 'c']))
+          .to.deep.equal(['a', 'b', 'c']);
+        expect(this.robot.mergePackages(['a', 'b'],
+          {b: {room: '#b', retries: 1}}, {b: {retries: 2}, c: {}}))
+          .to.deep.equal({
+            a: undefined,
+            b: {room: '#b', retries: 2},
+            c: {}
+          });
+        expect(this.robot.mergePackages(null)).to.be['null'];
+      });
+    });
+
     describe('Listener Registration', function() {
       describe('#listen', function() {
         it('forwards the matcher, options, and callback to Listener',
@@ -564,6 +1154,31 @@ describe('Robot', function() {
             done();
           });
         });
+      it('calls listeners of higher priority first', function(done) {
+        let testMessage = new TextMessage(this.user, 'message123');
+        let calls = [];
+        this.robot.hear(/^message123$/, () => calls.push('normal'));
+        this.robot.hear(/^message123$/, {priority: 5},
+          () => calls.push('high'));
+        this.robot.receive(testMessage, function() {
+          expect(calls).to.deep.equal(['high', 'normal']);
+          done();
+        });
+      });
+      it('stops processing after a listener without fallthrough',
+        function(done) {
+          let testMessage = new TextMessage(this.user, 'message123');
+          let fired = sinon.spy();
+          this.robot.hear(/^message123$/, {fallthrough: false}, fired);
+          let listenerCallback = sinon.spy();
+          this.robot.hear(/^message123$/, listenerCallback);
+          this.robot.receive(testMessage, function() {
+            expect(fired).to.have.been.calledOnce;
+            expect(listenerCallback).to.not.have.been.called;
+            expect(testMessage.done).to.be['true'];
+            done();
+          });
+        });
       it('calls non-TextListener objects', function(done) {
         let testMessage = new EnterMessage(this.user);
         this.robot.enter(function(response) {
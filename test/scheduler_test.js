@@ -0,0 +1,230 @@
+/* eslint-env node, mocha */
+// Assertions and Stubbing
+import * as sinon from 'sinon';
+import * as chai from 'chai';
+import sinonChai from 'sinon-chai';
+chai.use(sinonChai);
+let expect = chai.expect;
+import * as mockery from 'mockery';
+
+// bot classes
+import Robot from '../src/robot';
+import {TextMessage} from '../src/message';
+import Adapter from '../src/adapter';
+import Scheduler from '../src/scheduler';
+import schedulerScript from '../src/scripts/scheduler';
+
+// Preload the Hubot mock adapter but substitute in the latest version of Adapter
+mockery.enable();
+mockery.registerAllowable('hubot-mockadapter');
+mockery.registerMock('webbybot/src/adapter', Adapter);
+import 'hubot-mockadapter';
+mockery.deregisterMock('webbybot/src/adapter');
+mockery.disable();
+
+describe('Scheduler', function() {
+  beforeEach(function() {
+    this.clock = sinon.useFakeTimers(Date.parse('2026-01-01T00:00:00Z'),
+      'setTimeout', 'clearTimeout', 'Date');
+    this.robot = new Robot(null, 'mockadapter', false, 'TestHubot');
+    this.robot.run();
+    this.scheduler = this.robot.scheduler;
+    this.robot.adapter.send = sinon.spy();
+    this.stored = () => Object.keys(
+      this.robot.brain.data._namespaces.scheduler.values);
+  });
+
+  afterEach(function() {
+    this.robot.shutdown();
+    this.clock.restore();
+  });
+
+  describe('#schedule', function() {
+    it('runs a job at a date once', function() {
+      let job = this.robot.schedule(new Date(Date.now() + 1000), '#a',
+        'hello', {id: 'greet'});
+      expect(job.id).to.equal('greet');
+      expect(this.stored()).to.deep.equal(['greet']);
+      this.clock.tick(1000);
+      expect(this.robot.adapter.send).to.have.been.calledOnce
+        .calledWith({room: '#a'}, 'hello');
+      expect(this.scheduler.list()).to.deep.equal([]);
+      expect(this.stored()).to.deep.equal([]);
+    });
+
+    it('runs a job on a cron pattern', function() {
+      let callback = sinon.spy();
+      this.robot.schedule('*/5 * * * *', '#a', callback, {timezone: 'UTC'});
+      this.clock.tick(10 * 60 * 1000);
+      expect(callback).to.have.been.calledTwice
+        .calledWith(this.robot, sinon.match({room: '#a'}));
+      expect(this.scheduler.list()).to.have.length(1);
+    });
+
+    it('calls handlers defined by name', function() {
+      let report = sinon.spy();
+      this.scheduler.define('report', report);
+      this.robot.schedule(Date.now() + 1000, '#a',
+        {handler: 'report', data: {team: 'ops'}});
+      this.clock.tick(1000);
+      expect(report).to.have.been.calledWith(this.robot,
+        sinon.match({data: {team: 'ops'}}));
+    });
+
+    it('emits errors of jobs', function() {
+      let error = sinon.spy();
+      sinon.stub(this.robot.logger, 'error');
+      this.robot.on('error', error);
+      this.scheduler.define('fail', () => {
+        throw new Error('Broken report');
+      });
+      this.robot.schedule(Date.now() + 1000, '#a', {handler: 'fail'});
+      this.clock.tick(1000);
+      expect(error).to.have.been.calledWith(
+        sinon.match({message: 'Broken report'}));
+    });
+
+    it('waits for the handler of a job to be defined', function() {
+      let report = sinon.spy();
+      sinon.stub(this.robot.logger, 'warning');
+      this.robot.schedule(Date.now() + 1000, '#a', {handler: 'report'},
+        {id: 'late'});
+      this.clock.tick(1000);
+      expect(this.stored()).to.deep.equal(['late']);
+      this.scheduler.define('report', report);
+      expect(report).to.have.been.calledOnce;
+      expect(this.stored()).to.deep.equal([]);
+    });
+
+    it('replaces a job with the same id', function() {
+      this.robot.schedule('0 9 * * *', '#a', 'one', {id: 'daily'});
+      this.robot.schedule('0 10 * * *', '#a', 'two', {id: 'daily'});
+      expect(this.scheduler.list().map(job => job.message))
+        .to.deep.equal(['two']);
+    });
+  });
+
+  describe('#restore', function() {
+    it('schedules the jobs kept in the brain once the robot runs', function() {
+      this.robot.schedule('0 9 * * *', '#a', 'standup', {id: 'standup'});
+      this.robot.schedule('0 9 * * *', '#a', () => {}, {id: 'local'});
+      this.scheduler.close();
+      let scheduler = new Scheduler(this.robot);
+      this.robot.emit('running');
+      expect(scheduler.list().map(job => job.id)).to.deep.equal(['standup']);
+      scheduler.close();
+    });
+
+    it('does not schedule the jobs again after closing', function() {
+      this.robot.schedule('0 9 * * *', '#a', 'standup', {id: 'standup'});
+      this.scheduler.close();
+      this.robot.brain.set('key', 'value');
+      this.robot.emit('running');
+      expect(this.scheduler.list()).to.deep.equal([]);
+    });
+
+    it('only stores the jobs namespace with the first job', function() {
+      this.scheduler.cancel('missing');
+      expect(this.robot.brain.data._namespaces || {})
+        .to.not.have.property('scheduler');
+    });
+  });
+
+  describe('restored jobs', function() {
+    it('run once their handler is defined after the robot runs', function() {
+      let report = sinon.spy();
+      sinon.stub(this.robot.logger, 'warning');
+      this.scheduler.store().set('overdue', {
+        room: '#a',
+        at: Date.now() - 1000,
+        handler: 'report'
+      });
+      this.scheduler.restore();
+      this.clock.tick(10);
+      expect(this.stored()).to.deep.equal(['overdue']);
+      this.scheduler.define('report', report);
+      expect(report).to.have.been.calledWith(this.robot,
+        sinon.match({id: 'overdue'}));
+      expect(this.stored()).to.deep.equal([]);
+    });
+  });
+
+  describe('#close', function() {
+    it('stops every job', function() {
+      let callback = sinon.spy();
+      this.robot.schedule('* * * * *', '#a', callback);
+      this.scheduler.close();
+      this.clock.tick(60 * 1000);
+      expect(callback).to.not.have.been.called;
+    });
+  });
+
+  describe('scheduler script', function() {
+    beforeEach(function() {
+      schedulerScript(this.robot);
+      this.user = this.robot.brain.userForId('1', {name: 'guy', room: '#a'});
+      this.robot.adapter.reply = sinon.spy();
+      this.robot.schedule('0 9 * * *', '#a', 'standup',
+        {id: 'standup', timezone: 'UTC'});
+      this.robot.schedule('0 9 * * *', '#b', 'other', {id: 'other'});
+    });
+
+    it('lists the jobs of the room', function(done) {
+      this.robot.receive(new TextMessage(this.user, 'TestHubot jobs'), () => {
+        expect(this.robot.adapter.send).to.have.been.calledWith(
+          sinon.match.any, 'standup: "0 9 * * *" (UTC) in #a says ' +
+          '"standup", next 2026-01-01T09:00:00.000Z');
+        done();
+      });
+      this.clock.tick(10);
+    });
+
+    it('lists every job for admins only', function(done) {
+      let message = new TextMessage(this.user, 'TestHubot all jobs');
+      this.robot.receive(message, () => {
+        expect(this.robot.adapter.send).to.not.have.been.called;
+        this.robot.auth.grant(this.user, 'admin');
+        this.robot.receive(message, () => {
+          expect(this.robot.adapter.send).to.have.been.calledWith(
+            sinon.match.any, sinon.match(/^other: .* in #b/m));
+          done();
+        });
+      });
+      this.clock.tick(10);
+    });
+
+    it('cancels the jobs of the room', function(done) {
+      let message = new TextMessage(this.user, 'TestHubot cancel job standup');
+      this.robot.receive(message, () => {
+        expect(this.robot.adapter.reply).to.have.been.calledWith(
+          sinon.match.any, 'OK, job standup is cancelled.');
+        done();
+      });
+      this.clock.tick(10);
+    });
+
+    it('does not cancel the jobs of other rooms', function(done) {
+      let message = new TextMessage(this.user, 'TestHubot cancel job other');
+      this.robot.receive(message, () => {
+        expect(this.robot.adapter.reply).to.have.been.calledWith(
+          sinon.match.any, 'There is no job other.');
+        expect(this.scheduler.list()).to.have.length(2);
+        done();
+      });
+      this.clock.tick(10);
+    });
+
+    it('cancels any job for admins', function(done) {
+      this.robot.auth.grant(this.user, 'admin');
+      let message = new TextMessage(this.user, 'TestHubot cancel job other');
+      this.robot.receive(message, () => {
+        expect(this.robot.adapter.reply).to.have.been.calledWith(
+          sinon.match.any, 'OK, job other is cancelled.');
+        expect(this.scheduler.list().map(job => job.id))
+          .to.deep.equal(['standup']);
+        done();
+      });
+      this.clock.tick(10);
+    });
+  });
+});
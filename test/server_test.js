@@ -5,8 +5,52 @@ import * as chai from 'chai';
 import sinonChai from 'sinon-chai';
 chai.use(sinonChai);
 let expect = chai.expect;
+import * as Http from 'http';
 // bot classes
 import {ExpressRouter, NullRouter} from '../src/server';
+import Brain from '../src/brain';
+import Middleware from '../src/middleware';
+
+/**
+ * Send a request to the robot's server once it listens and call back with
+ * the response status, parsed JSON body and raw body.
+ */
+let request = (robot, method, path, options, callback) => {
+  let send = () => {
+    let headers = {'Content-Type': 'application/json'};
+    if (options.accept) {
+      headers.Accept = options.accept;
+    }
+    if (options.auth) {
+      headers.Authorization = 'Basic ' +
+        new Buffer(options.auth).toString('base64');
+    }
+    let req = Http.request({
+      port: robot.server.address().port,
+      method: method,
+      path: path,
+      headers: headers
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        let json;
+        try {
+          json = JSON.parse(body);
+        } catch (error) {
+          json = null;
+        }
+        callback(res.statusCode, json, body);
+      });
+    });
+    req.end(options.body ? JSON.stringify(options.body) : undefined);
+  };
+  if (robot.server.listening) {
+    send();
+  } else {
+    robot.server.once('listening', send);
+  }
+};
 
 describe('Router', function() {
   describe('Unit Tests', function() {
@@ -52,6 +96,221 @@ describe('Router', function() {
         delete process.env.EXPRESS_STATIC;
       });
 
+      describe('brain endpoints', function() {
+        beforeEach(function() {
+          process.env.EXPRESS_PORT = '0';
+          process.env.WEBBY_ADMIN_USER = 'admin';
+          process.env.WEBBY_ADMIN_PASSWORD = 'secret';
+          this.robot.on = function() {};
+          this.robot.emit = function() {};
+          this.robot.brain = new Brain(this.robot);
+          this.robot.brain.set('token', 'abc');
+          this.robot.router = new ExpressRouter(this.robot).router;
+        });
+
+        afterEach(function() {
+          this.robot.server.close();
+          delete this.robot.router;
+          delete this.robot.server;
+          delete process.env.EXPRESS_PORT;
+          delete process.env.WEBBY_ADMIN_USER;
+          delete process.env.WEBBY_ADMIN_PASSWORD;
+        });
+
+        it('requires the admin credentials', function(done) {
+          request(this.robot, 'GET', '/webby/brain', {}, (status) => {
+            expect(status).to.equal(401);
+            done();
+          });
+        });
+
+        it('exports the brain data', function(done) {
+          request(this.robot, 'GET', '/webby/brain', {auth: 'admin:secret'},
+            (status, body) => {
+              expect(status).to.equal(200);
+              expect(body._private).to.deep.equal({token: 'abc'});
+              done();
+            });
+        });
+
+        it('redacts private keys on request', function(done) {
+          request(this.robot, 'GET', '/webby/brain?redact=true',
+            {auth: 'admin:secret'}, (status, body) => {
+              expect(status).to.equal(200);
+              expect(body).to.not.have.key('_private');
+              expect(body).to.have.key('users');
+              done();
+            });
+        });
+
+        it('imports brain data', function(done) {
+          request(this.robot, 'PUT', '/webby/brain', {
+            auth: 'admin:secret',
+            body: {karma: {alice: 1}}
+          }, (status) => {
+            expect(status).to.equal(200);
+            expect(this.robot.brain.data.karma).to.deep.equal({alice: 1});
+            done();
+          });
+        });
+
+        it('takes the admin credentials over the global ones', function(done) {
+          this.robot.server.close();
+          process.env.EXPRESS_USER = 'test';
+          process.env.EXPRESS_PASSWORD = 'testpasswd';
+          this.robot.router = new ExpressRouter(this.robot).router;
+          delete process.env.EXPRESS_USER;
+          delete process.env.EXPRESS_PASSWORD;
+          request(this.robot, 'GET', '/webby/brain', {auth: 'admin:secret'},
+            (status) => {
+              expect(status).to.equal(200);
+              request(this.robot, 'GET', '/webby/help',
+                {auth: 'admin:secret'}, (status) => {
+                  expect(status).to.equal(401);
+                  done();
+                });
+            });
+        });
+
+        it('imports brain data over 100kb', function(done) {
+          let notes = new Array(200 * 1024).join('x');
+          request(this.robot, 'PUT', '/webby/brain', {
+            auth: 'admin:secret',
+            body: {notes: notes}
+          }, (status) => {
+            expect(status).to.equal(200);
+            expect(this.robot.brain.data.notes).to.equal(notes);
+            done();
+          });
+        });
+      });
+
+      describe('middleware endpoint', function() {
+        beforeEach(function() {
+          process.env.EXPRESS_PORT = '0';
+          process.env.WEBBY_ADMIN_USER = 'admin';
+          process.env.WEBBY_ADMIN_PASSWORD = 'secret';
+          this.robot.middleware = {
+            listener: new Middleware(this.robot),
+            response: new Middleware(this.robot),
+            receive: new Middleware(this.robot)
+          };
+          this.robot.middleware.listener.register(
+            (context, next, done) => next(done), {name: 'auth'});
+          this.robot.router = new ExpressRouter(this.robot).router;
+        });
+
+        afterEach(function() {
+          this.robot.server.close();
+          delete this.robot.router;
+          delete this.robot.server;
+          delete process.env.EXPRESS_PORT;
+          delete process.env.WEBBY_ADMIN_USER;
+          delete process.env.WEBBY_ADMIN_PASSWORD;
+        });
+
+        it('lists the middleware stacks', function(done) {
+          request(this.robot, 'GET', '/webby/middleware',
+            {auth: 'admin:secret'}, (status, body) => {
+              expect(status).to.equal(200);
+              expect(body.listener).to.deep.equal([{
+                name: 'auth',
+                priority: 0,
+                before: [],
+                after: [],
+                enabled: true,
+                owner: null
+              }]);
+              expect(body.response).to.deep.equal([]);
+              done();
+            });
+        });
+      });
+
+      describe('scripts endpoint', function() {
+        beforeEach(function() {
+          process.env.EXPRESS_PORT = '0';
+          process.env.WEBBY_ADMIN_USER = 'admin';
+          process.env.WEBBY_ADMIN_PASSWORD = 'secret';
+          this.robot.scriptReport = () => ({
+            loaded: ['scripts/ping'],
+            failed: [{name: 'hubot-broken', error: 'Broken'}]
+          });
+          this.robot.router = new ExpressRouter(this.robot).router;
+        });
+
+        afterEach(function() {
+          this.robot.server.close();
+          delete this.robot.router;
+          delete this.robot.server;
+          delete process.env.EXPRESS_PORT;
+          delete process.env.WEBBY_ADMIN_USER;
+          delete process.env.WEBBY_ADMIN_PASSWORD;
+        });
+
+        it('requires the admin credentials', function(done) {
+          request(this.robot, 'GET', '/webby/scripts', {}, (status) => {
+            expect(status).to.equal(401);
+            done();
+          });
+        });
+
+        it('lists the loaded and failed scripts', function(done) {
+          request(this.robot, 'GET', '/webby/scripts', {auth: 'admin:secret'},
+            (status, body) => {
+              expect(status).to.equal(200);
+              expect(body).to.deep.equal({
+                loaded: ['scripts/ping'],
+                failed: [{name: 'hubot-broken', error: 'Broken'}]
+              });
+              done();
+            });
+        });
+      });
+
+      describe('help endpoint', function() {
+        beforeEach(function() {
+          process.env.EXPRESS_PORT = '0';
+          this.robot.name = 'webby';
+          this.robot.documentation = {
+            deploy: {description: ['Deploy <apps>.']}
+          };
+          this.robot.help = sinon.stub().returns(['webby deploy - Deploy']);
+          this.robot.router = new ExpressRouter(this.robot).router;
+        });
+
+        afterEach(function() {
+          this.robot.server.close();
+          delete this.robot.router;
+          delete this.robot.server;
+          delete process.env.EXPRESS_PORT;
+        });
+
+        it('returns the help as JSON', function(done) {
+          request(this.robot, 'GET', '/webby/help?q=deploy', {},
+            (status, body) => {
+              expect(status).to.equal(200);
+              expect(this.robot.help).to.have.been.calledWith('deploy');
+              expect(body).to.deep.equal({
+                name: 'webby',
+                commands: ['webby deploy - Deploy'],
+                scripts: {deploy: {description: ['Deploy <apps>.']}}
+              });
+              done();
+            });
+        });
+
+        it('renders the help as HTML', function(done) {
+          request(this.robot, 'GET', '/webby/help', {accept: 'text/html'},
+            (status, json, body) => {
+              expect(status).to.equal(200);
+              expect(body).to.contain('<li>webby deploy - Deploy</li>');
+              expect(body).to.contain('<dd>Deploy &lt;apps&gt;.</dd>');
+              done();
+            });
+        });
+      });
+
       it('setupHeroku', function() {
         sinon.spy(global, 'setInterval');
         process.env.HEROKU_URL = 'http://example.heroku.com';
@@ -28,5 +28,49 @@ describe('User', function() {
 
       expect(user.name).to.equal('tobuh');
     });
+
+    it('keeps profile attributes as strings', function() {
+      let user = new User('hubot', {
+        email: 'hubot@example.com',
+        timezone: null,
+        source: 42
+      });
+
+      expect(user.source).to.equal('42');
+      expect(user.timezone).to.be['null'];
+    });
+  });
+
+  describe('#profile', function() {
+    it('fills in unknown attributes', function() {
+      let user = new User('hubot', {
+        realName: 'Hubot Robot',
+        locale: 'en-US',
+        roles: ['admin']
+      });
+
+      expect(user.profile()).to.deep.equal({
+        id: 'hubot',
+        name: 'hubot',
+        displayName: 'hubot',
+        realName: 'Hubot Robot',
+        email: null,
+        timezone: null,
+        locale: 'en-US',
+        avatar: null,
+        source: null
+      });
+    });
+  });
+
+  describe('#pref', function() {
+    it('reads preferences set with setPref', function() {
+      let user = new User('hubot');
+
+      expect(user.pref('units')).to.be['null'];
+      user.setPref('units', 'metric');
+      expect(user.pref('units')).to.equal('metric');
+      expect(user.prefs).to.deep.equal({units: 'metric'});
+    });
   });
 });